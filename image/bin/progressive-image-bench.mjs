@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * progressive-image-bench — command line for ../progressive-image-bench3.mjs.
+ *
+ * Parses flags, reads the config file, prints progress and opens the generated dashboard (not with
+ * --no-open or when CI is set);
+ * everything else lives in the library (runBenchmark, runDoctor, compareResults, buildHistory).
+ * Flags are passed on in camelCase: --run-timeout → runTimeout, --compare-scale → compareScale.
+ */
+
+import fs from "fs-extra";
+import path from "path";
+import { EventEmitter } from "node:events";
+import { execFile } from "node:child_process";
+import { runBenchmark, runDoctor, compareResults, buildHistory, budgetExitCode } from "../progressive-image-bench3.mjs";
+
+const USAGE = `Usage:
+  progressive-image-bench bench.config.json --root /path/to/assets [--runs 7] [--browsers a,b] [--headless]
+      [--profile name] [--protocol http1|https1|h2] [--truncate pcts] [--truncate-only] [--capture backend]
+      [--reference file.png] [--filmstrip] [--trace] [--retries n] [--run-timeout ms] [--resume runDir [--allow-config-change]]
+      [--workers n] [--compare-scale s] [--report-format html,svg,png] [--export md,junit,ndjson] [--max-error-rate 0.1] [--no-open]
+  progressive-image-bench compare <bench-results/A> <bench-results/B> [--metrics t85,t95,visIndex] [--alpha 0.05] [--iterations 2000] [--out dir]
+      [--report-format html,svg,png] [--no-open]
+  progressive-image-bench history [bench-results] [--out dir] [--report-format html,svg,png] [--no-open]
+  progressive-image-bench doctor [bench.config.json] [--root /path/to/assets] [--browsers a,b] [--headless false]`;
+
+// "--flag value" or a bare "--flag" (true); anything else is positional.
+function parseArgs(argv) {
+  const positional = [], options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const v = argv[i];
+    if (!v.startsWith("--")) { positional.push(v); continue; }
+    const key = v.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    options[key] = argv[i + 1] == null || argv[i + 1].startsWith("--") ? true : argv[++i];
+  }
+  return { positional, options };
+}
+
+// No viewer to open in CI (CI env var, set by most CI services) or with --no-open
+function openFile(file, { noOpen } = {}) {
+  if (noOpen || process.env.CI) return;
+  const opener = process.platform === "darwin" ? "open" : process.platform === "win32" ? "cmd" : "xdg-open";
+  const argsOpen = process.platform === "win32" ? ["/c", "start", "", file] : [file];
+  execFile(opener, argsOpen, err => { if (err) console.error("Open dashboard error:", err.message); });
+}
+
+const CDN_NOTE = "Note: plotly.js-dist-min is not installed, so the report loads Plotly from the CDN and needs network access.";
+
+// Runs: --runs → RUNS env → config.runs → 5. Exit 2 when a budget is exceeded, 3 when too many runs errored.
+async function bench([cfgPath], options) {
+  const config = await fs.readJson(path.resolve(cfgPath));
+  const events = new EventEmitter().on("log", line => console.log(line));
+  const { files, budgets } = await runBenchmark(config, { ...options, runs: options.runs ?? process.env.RUNS, configName: path.basename(cfgPath), events });
+  openFile(files.dashboard, options);
+  process.exitCode = budgetExitCode(budgets);
+}
+
+async function compare([dirA, dirB], options) {
+  if (!dirA || !dirB) { console.log(USAGE); process.exit(1); }
+  const { rows, files, warnings, selfContained, chartError } = await compareResults(dirA, dirB, options);
+  warnings.forEach(w => console.warn(`Warning: ${w}`));
+  const num = v => v == null ? "" : +Number(v).toFixed(4);
+  for (const v of ["regression", "improvement"]) {
+    const hits = rows.filter(r => r.verdict === v);
+    console.log(`${hits.length} ${v}${hits.length === 1 ? "" : "s"}`);
+    hits.forEach(r => console.log(`  ${r.browser} ${r.id} ${r.metric}: ${num(r.median_a)} → ${num(r.median_b)} (${r.delta_pct == null ? "" : (r.delta_pct >= 0 ? "+" : "") + (100 * r.delta_pct).toFixed(1) + "%, "}p=${r.p.toFixed(3)})`));
+  }
+  console.log(`\nWrote:\n  ${[files.csv, files.html, files.json, ...files.charts].join("\n  ")}`);
+  if (chartError) console.warn(`[report] chart export failed: ${chartError}`);
+  if (!selfContained) console.warn(CDN_NOTE);
+  openFile(files.html, options);
+}
+
+async function history([dir], options) {
+  const { runs, changes, skipped, files, selfContained, chartError } = await buildHistory(dir, options);
+  if (skipped.length) console.log(`Skipped ${skipped.length} director${skipped.length === 1 ? "y" : "ies"} without aggregated.json/meta.json:\n  ${skipped.join("\n  ")}`);
+  console.log(`Indexed ${runs.length} runs, ${changes.length} browser version change${changes.length === 1 ? "" : "s"}.`);
+  console.log(`\nWrote:\n  ${[files.json, files.html, ...files.charts].join("\n  ")}`);
+  if (chartError) console.warn(`[report] chart export failed: ${chartError}`);
+  if (!selfContained) console.warn(CDN_NOTE);
+  openFile(files.html, options);
+}
+
+// Preflight: config issues, installed browsers and the formats they decode, encoder tools. Exit 1 unless ok.
+async function doctor([cfgPath], options) {
+  const config = cfgPath ? await fs.readJson(path.resolve(cfgPath)) : null;
+  const report = await runDoctor(config, options);
+  console.log(`Node ${report.node}, root ${report.root}`);
+  if (report.config) {
+    const { issues } = report.config;
+    console.log(`\nConfig ${cfgPath}: ${issues.length ? `${issues.length} issue${issues.length === 1 ? "" : "s"}` : "ok"}`);
+    issues.forEach(i => console.log(`  ${i.level === "error" ? "ERROR" : "warn "} ${i.path}: ${i.message}`));
+  }
+  console.log("\nBrowsers:");
+  const width = Math.max(...report.browsers.map(b => b.name.length));
+  for (const b of report.browsers) {
+    if (b.error) { console.log(`  ${b.name.padEnd(width)}  ${b.installed ? "FAILED" : "MISSING"}: ${b.error}`); continue; }
+    const decodes = Object.keys(b.formats).filter(f => b.formats[f]), not = Object.keys(b.formats).filter(f => !b.formats[f]);
+    console.log(`  ${b.name.padEnd(width)}  ${b.version}  decodes ${decodes.join(" ")}${not.length ? `  (not ${not.join(" ")})` : ""}`);
+  }
+  console.log("\nTools:");
+  for (const t of report.tools) console.log(`  ${t.name.padEnd(8)} ${t.found ? t.version ?? t.line ?? "found" : "not found"}  (${t.for})`);
+  console.log(report.ok ? "\nReady." : "\nNot ready: fix the errors above.");
+  if (!report.ok) process.exitCode = 1;
+}
+
+const COMMANDS = { compare, history, doctor };
+const [command, ...rest] = process.argv.slice(2);
+if (!command || command.startsWith("--")) { console.log(USAGE); process.exit(1); }
+const { positional, options } = parseArgs(COMMANDS[command] ? rest : [command, ...rest]);
+// Config errors carry .issues and a readable message; anything else gets its stack
+(COMMANDS[command] ?? bench)(positional, options).catch(e => { console.error(e.issues ? e.message : e); process.exit(1); });
@@ -8,6 +8,14 @@ set -euo pipefail
 #   QJPEG=80 QWEBP=80 QAVIF=45 QJXL=1.5
 #   BASE_URL=            # e.g. BASE_URL="http://127.0.0.1:5173"
 #   LABEL_PREFIX=        # optional, prepended to labels
+#
+# Quality sweep (SWEEP=1): every format is encoded at each listed setting instead of
+# the single Q* value. Files get a .q<Q>[-s<S>|-e<E>] tag, test ids a matching suffix.
+#   SWEEP_JPEG="50 65 80 90"  SWEEP_WEBP="50 65 80 90"  SWEEP_AVIF="30 45 60 75"
+#   SWEEP_JXL="3 2 1.5 1"     # distances
+#   SWEEP_AVIF_SPEED="6"      # avifenc -s values (effort axis)
+#   SWEEP_JXL_EFFORT="7"      # cjxl effort (or speed on old cjxl) values
+# Every test entry is tagged with variant, quality, effort (where it applies) and bytes.
 
 IN="${1:?Usage: $0 input_image [out_dir] [config_path]}"
 OUTDIR="${2:-out}"
@@ -19,6 +27,25 @@ QAVIF="${QAVIF:-45}"   # 0..100 (higher=better)
 QJXL="${QJXL:-1.5}"    # distance (lower=better)
 BASE_URL="${BASE_URL:-}"  # if set, used as prefix for URLs
 LABEL_PREFIX="${LABEL_PREFIX:-}"
+SWEEP="${SWEEP:-}"
+
+if [[ -n "$SWEEP" ]]; then
+  read -ra JPEG_QS <<<"${SWEEP_JPEG:-50 65 80 90}"
+  read -ra WEBP_QS <<<"${SWEEP_WEBP:-50 65 80 90}"
+  read -ra AVIF_QS <<<"${SWEEP_AVIF:-30 45 60 75}"
+  read -ra JXL_QS  <<<"${SWEEP_JXL:-3 2 1.5 1}"
+  read -ra AVIF_SPEEDS <<<"${SWEEP_AVIF_SPEED:-6}"
+  read -ra JXL_EFFORTS <<<"${SWEEP_JXL_EFFORT:-${JXL_EFFORT:-${JXL_SPEED:-7}}}"
+else
+  JPEG_QS=("$QJPEG"); WEBP_QS=("$QWEBP"); AVIF_QS=("$QAVIF"); JXL_QS=("$QJXL")
+  AVIF_SPEEDS=(6); JXL_EFFORTS=("${JXL_EFFORT:-${JXL_SPEED:-7}}")
+fi
+
+# File/id tag for one setting: empty outside a sweep, so the default names are unchanged
+tag() { # tag quality [effort_flag effort]
+  [[ -n "$SWEEP" && -n "$1" ]] || return 0
+  printf '.q%s%s' "$1" "${3:+-$2$3}"
+}
 
 # deps (force jq so JSON building is clean)
 need() { command -v "$1" >/dev/null || { echo "Missing: $1"; exit 1; }; }
@@ -36,28 +63,43 @@ stem_noext="${fname%.*}"
 base="${OUTDIR}/${stem_noext}"
 
 # --- Generate variants -------------------------------------------------------
-magick "$IN" -strip -quality "$QJPEG" -interlace None  "${base}.baseline.jpg"
-magick "$IN" -strip -quality "$QJPEG" -interlace Plane "${base}.progressive.jpg"
-
-cwebp -quiet -q "$QWEBP" "$IN" -o "${base}.webp"
-
-avifenc -q "$QAVIF" -s 6 "$IN" "${base}.avif" >/dev/null
-avifenc --progressive -q "$QAVIF" -s 6 "$IN" "${base}.progressive.avif" >/dev/null
+for q in "${JPEG_QS[@]}"; do
+  magick "$IN" -strip -quality "$q" -interlace None  "${base}$(tag "$q").baseline.jpg"
+  magick "$IN" -strip -quality "$q" -interlace Plane "${base}$(tag "$q").progressive.jpg"
+done
+
+for q in "${WEBP_QS[@]}"; do
+  cwebp -quiet -q "$q" "$IN" -o "${base}$(tag "$q").webp"
+done
+
+for q in "${AVIF_QS[@]}"; do
+  for s in "${AVIF_SPEEDS[@]}"; do
+    t="$(tag "$q" s "$([[ ${#AVIF_SPEEDS[@]} -gt 1 ]] && echo "$s")")"
+    avifenc -q "$q" -s "$s" "$IN" "${base}${t}.avif" >/dev/null
+    avifenc --progressive -q "$q" -s "$s" "$IN" "${base}${t}.progressive.avif" >/dev/null
+  done
+done
 
 # --- JPEG XL (cjxl) ---
 if command -v cjxl >/dev/null; then
   # Pick the right flag: newer cjxl uses -e/--effort, older used -s (speed)
   if cjxl -h 2>&1 | grep -qE '(^|\s)-e,?\s|--effort'; then
-    CJXL_EFFORT_FLAG=(-e "${JXL_EFFORT:-7}")
+    CJXL_FLAG=e
   elif cjxl -h 2>&1 | grep -qE '(^|\s)-s[ ,]'; then
-    CJXL_EFFORT_FLAG=(-s "${JXL_SPEED:-7}")
+    CJXL_FLAG=s
   else
-    CJXL_EFFORT_FLAG=()
+    CJXL_FLAG=
   fi
 
-  cjxl "$IN" "${base}.jxl" -d "$QJXL" "${CJXL_EFFORT_FLAG[@]}" >/dev/null
-  cjxl "$IN" "${base}.progressive.jxl" -d "$QJXL" "${CJXL_EFFORT_FLAG[@]}" \
-       --progressive_ac --progressive_dc=1 >/dev/null
+  for q in "${JXL_QS[@]}"; do
+    for e in "${JXL_EFFORTS[@]}"; do
+      CJXL_EFFORT_FLAG=(${CJXL_FLAG:+"-$CJXL_FLAG" "$e"})
+      t="$(tag "$q" e "$([[ ${#JXL_EFFORTS[@]} -gt 1 ]] && echo "$e")")"
+      cjxl "$IN" "${base}${t}.jxl" -d "$q" "${CJXL_EFFORT_FLAG[@]}" >/dev/null
+      cjxl "$IN" "${base}${t}.progressive.jxl" -d "$q" "${CJXL_EFFORT_FLAG[@]}" \
+           --progressive_ac --progressive_dc=1 >/dev/null
+    done
+  done
 fi
 
 
@@ -68,8 +110,9 @@ echo "Images written to: $OUTDIR"
 # --- Build tests array (only include files that exist) -----------------------
 tests_json="[]"
 add_test() {
-  local id="$1" label="$2" fmt="$3" relpath="$4" notes="${5:-}"
+  local id="$1" label="$2" fmt="$3" relpath="$4" notes="${5:-}" enc="${6:-}"
   local url
+  [[ -n "$enc" ]] || enc='{}'
   if [[ -n "$BASE_URL" ]]; then
     url="${BASE_URL%/}/$relpath"
   else
@@ -80,7 +123,8 @@ add_test() {
                      --arg format "$fmt" \
                      --arg url "$url" \
                      --arg notes "$notes" \
-                     '. += [{id:$id,label:$label,format:$format,url:$url,notes:$notes}]' \
+                     --argjson enc "$enc" \
+                     '. += [{id:$id,label:$label,format:$format,url:$url,notes:$notes} + $enc]' \
                      <<<"$tests_json")"
 }
 
@@ -88,20 +132,44 @@ relpath() { # make path relative to $PWD
   local p="$1"; p="${p#./}"; echo "${p#"$PWD/"}"
 }
 
+# maybe_add file variant label format notes [quality [effort_flag effort]]
+# The id is the variant plus the file tag; entries carry variant, quality, effort and bytes.
+# effort is only passed when the sweep varies it (it is then part of the file tag too).
 maybe_add() {
-  local file="$1" id="$2" label="$3" fmt="$4" notes="${5:-}"
+  local file="$1" variant="$2" label="$3" fmt="$4" notes="${5:-}" q="${6:-}" eflag="${7:-}" e="${8:-}"
   [[ -f "$file" ]] || return 0
-  add_test "$id" "$label" "$fmt" "$(relpath "$file")" "$notes"
+  local t bytes enc
+  t="$(tag "$q" "$eflag" "$e")"
+  bytes="$(wc -c <"$file" | tr -d ' ')"
+  enc="$(jq -cn --arg v "$variant" --arg q "$q" --arg e "$e" --argjson b "$bytes" \
+        '{variant:$v, bytes:$b} + (if $q != "" then {quality:($q|tonumber)} else {} end)
+                                 + (if $e != "" then {effort:($e|tonumber)} else {} end)')"
+  [[ -n "$SWEEP" && -n "$q" ]] && label="$label (q $q${e:+, $eflag$e})"
+  add_test "${variant}${t//./-}" "$label" "$fmt" "$(relpath "$file")" "$notes" "$enc"
 }
 
-maybe_add "${base}.baseline.jpg"     "jpeg-baseline"    "${LABEL_PREFIX}JPEG Baseline"      "jpeg"
-maybe_add "${base}.progressive.jpg"  "jpeg-progressive" "${LABEL_PREFIX}JPEG Progressive"   "jpeg"
-maybe_add "${base}.webp"             "webp"             "${LABEL_PREFIX}WebP"               "webp"
-maybe_add "${base}.avif"             "avif"             "${LABEL_PREFIX}AVIF"               "avif"
-maybe_add "${base}.progressive.avif" "avif-progressive" "${LABEL_PREFIX}AVIF (progressive)" "avif" "single-input progressive"
+for q in "${JPEG_QS[@]}"; do
+  maybe_add "${base}$(tag "$q").baseline.jpg"    "jpeg-baseline"    "${LABEL_PREFIX}JPEG Baseline"    "jpeg" "" "$q"
+  maybe_add "${base}$(tag "$q").progressive.jpg" "jpeg-progressive" "${LABEL_PREFIX}JPEG Progressive" "jpeg" "" "$q"
+done
+for q in "${WEBP_QS[@]}"; do
+  maybe_add "${base}$(tag "$q").webp"            "webp"             "${LABEL_PREFIX}WebP"             "webp" "" "$q"
+done
+for q in "${AVIF_QS[@]}"; do
+  for s in "${AVIF_SPEEDS[@]}"; do
+    [[ ${#AVIF_SPEEDS[@]} -gt 1 ]] && e="$s" || e=""
+    maybe_add "${base}$(tag "$q" s "$e").avif"             "avif"             "${LABEL_PREFIX}AVIF"               "avif" ""                         "$q" s "$e"
+    maybe_add "${base}$(tag "$q" s "$e").progressive.avif" "avif-progressive" "${LABEL_PREFIX}AVIF (progressive)" "avif" "single-input progressive" "$q" s "$e"
+  done
+done
 if command -v cjxl >/dev/null; then
-  maybe_add "${base}.jxl"               "jxl"             "${LABEL_PREFIX}JPEG XL"              "jxl"
-  maybe_add "${base}.progressive.jxl"   "jxl-progressive" "${LABEL_PREFIX}JPEG XL (progressive)" "jxl"
+  for q in "${JXL_QS[@]}"; do
+    for e in "${JXL_EFFORTS[@]}"; do
+      [[ ${#JXL_EFFORTS[@]} -gt 1 ]] || e=""
+      maybe_add "${base}$(tag "$q" e "$e").jxl"             "jxl"             "${LABEL_PREFIX}JPEG XL"               "jxl" "" "$q" e "$e"
+      maybe_add "${base}$(tag "$q" e "$e").progressive.jxl" "jxl-progressive" "${LABEL_PREFIX}JPEG XL (progressive)" "jxl" "" "$q" e "$e"
+    done
+  done
 fi
 maybe_add "${base}.interlaced.png"   "png-interlaced"   "${LABEL_PREFIX}PNG (Adam7)"        "png"
 
@@ -123,8 +191,8 @@ echo "Config written to: $CFG"
 
 if [[ -z "$BASE_URL" ]]; then
   echo "Run the UI bench with the built-in server:"
-  echo "  node progressive-image-bench-ui.mjs $CFG --root $(pwd)"
+  echo "  node bin/progressive-image-bench.mjs $CFG --root $(pwd)"
 else
   echo "Using absolute URLs (BASE_URL=$BASE_URL). Start your own server, then:"
-  echo "  node progressive-image-bench-ui.mjs $CFG"
+  echo "  node bin/progressive-image-bench.mjs $CFG"
 fi
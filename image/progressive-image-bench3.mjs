@@ -1,21 +1,67 @@
-#!/usr/bin/env node
 /**
- * progressive-image-bench-ui.mjs
+ * progressive-image-bench3.mjs — library; the command line is bin/progressive-image-bench.mjs.
  *
  * One-command UX:
- *  - Launches an internal throttled HTTP server (chunked streaming) so images render progressively.
- *  - Runs headed Playwright across Chromium, Firefox, WebKit so you can watch the loads.
- *  - Captures multiple runs per test, clips to the <img> region, computes t85/t95 and Visual Index,
- *    aggregates with median and percentiles, records server byte/timestamp traces.
- *  - Generates an interactive Plotly dashboard and opens it.
- *    IMPORTANT: the top row shows 3× grouped BAR charts (median t85, median t95, median Visual Index)
- *    so you always see exactly three bars per test (one per browser). Box-plots are grouped below.
+ *  - Launches an internal throttled server (chunked streaming over HTTP/1.1, HTTPS or HTTP/2) so images render progressively.
+ *  - Runs Playwright across a configurable browser matrix (default: headed Chromium, Firefox, WebKit).
+ *  - Captures multiple runs per test, clips to the <img> region, computes time-to-threshold (t85/t95 by
+ *    default, metrics.thresholds), paint milestones and Visual Index,
+ *    aggregates with median and percentiles, records server byte/timestamp traces and joins them with
+ *    the frames (bytes / fraction of the file received at first paint and at each threshold).
+ *  - Browser paint timing (LCP, Element Timing, image Resource Timing) from PerformanceObservers in the
+ *    harness, wherever the engine supports them, with an LCP vs. tNN correlation view.
+ *  - Decode cost: image decode time, long tasks and main-thread blocking from a Chromium performance
+ *    trace per run (opt-in, --trace); load event and img.decode() resolve time on every engine.
+ *  - Optional reference fidelity: SSIM / PSNR / CIEDE2000 of every frame against the source PNG
+ *    scaled to the image box (final score + fidelity-over-time curve).
+ *  - Optional truncated-delivery sweep: the server sends exactly N% of each file and holds the
+ *    connection; one settled frame per step gives a timer-free quality-vs-bytes curve.
+ *  - Page tests (tests[].type "page"): several images in one layout (grid of copies, hero/tile/thumb
+ *    list or an HTML template); progress over the whole layout and per image element.
+ *  - Content negotiation (tests[].type "picture", network.server.negotiate): records which candidate /
+ *    variant each engine fetched and its Content-Type, shown as a test × browser matrix.
+ *  - Optional filmstrips: the visually distinct frames of every run under frames/, browsable in the
+ *    dashboard with a shared time slider.
+ *  - Frame decoding/comparison on a worker_threads pool, so capture cadence does not depend on analysis
+ *    cost; optional downscaled comparison, checked against full resolution on the first run of each test.
+ *  - Resumable: --resume <runDir> keeps completed per-run JSONs when the settings match; failed runs
+ *    can be retried (--retries, relaunching a disconnected browser) and keep an error screenshot.
+ *  - Performance budgets (config.budgets): median/p90 limits per test/format/browser pattern and a
+ *    maximum error rate, printed as a pass/fail table; the CLI exits 2 (over budget) or 3 (errors).
+ *  - Generates an interactive Plotly dashboard and opens it: one self-contained file (Plotly inlined,
+ *    filmstrip thumbnails embedded) that works offline; --report-format svg,png adds static chart images.
+ *    IMPORTANT: the top row shows grouped BAR charts (median time per threshold, median Visual Index)
+ *    so you always see one bar per configured browser for each test. Box-plots are grouped below.
  *
  * Usage:
- *   node progressive-image-bench-ui.mjs bench.config.json --root /path/to/assets [--runs 7]
+ *   node bin/progressive-image-bench.mjs bench.config.json --root /path/to/assets [--runs 7]
+ *        [--browsers chromium,firefox] [--headless] [--profile 4g] [--protocol h2]
+ *        [--truncate 5,10,25,50,100] [--truncate-only] [--capture screenshot|screencast|video]
+ *        [--reference files/source.png] [--filmstrip] [--trace]
+ *        [--retries 1] [--run-timeout 120000] [--resume bench-results/<stamp> [--allow-config-change]]
+ *        [--workers 3] [--compare-scale 0.5] [--report-format html,svg,png] [--export md,junit,ndjson]
+ *        [--max-error-rate 0.1]
+ *     Exit codes: 0 ok, 1 config error or crash, 2 a budget exceeded, 3 too many runs errored (see Budgets).
+ *   node bin/progressive-image-bench.mjs compare bench-results/<A> bench-results/<B>
+ *        [--metrics t85,t95,visIndex] [--alpha 0.05] [--iterations 2000] [--out dir]
+ *     A/B comparison of two result directories (see Compare below): compare.csv, compare.json, compare.html.
+ *   node bin/progressive-image-bench.mjs history [bench-results] [--out dir]
+ *     Trend index over every run directory (see History below): history.json, history.html.
+ *   node bin/progressive-image-bench.mjs doctor [bench.config.json] [--root dir] [--browsers a,b]
+ *     Preflight (see Config Validation, Doctor): config issues, installed browsers and the formats they
+ *     decode, encoder tools on PATH. Every bench run validates the config before launching anything.
+ *
+ * Library (no side effects on import; see Public API at the bottom):
+ *   runBenchmark(config, options) → { runDir, meta, perRun, truncated, aggregated, ... }, progress via options.events
+ *   createServer(options), aggregate(perRun, truncated, { thresholds }), computeVisualProgress(timeline, opts)
+ *   compareResults(dirA, dirB, options), buildHistory(dir, options)
+ *   markdownSummary(aggregated, opts), junitReport(aggregated, opts), ndjsonRuns(perRun, opts) → string
+ *   validateConfig(config, { root }) → [{ level, path, message }], runDoctor(config, options) → report
+ *   evaluateBudgets(aggregated, budgets, { thresholds }) → { ok, checks, errorRate, unmatched }, budgetExitCode(result)
+ *   Unit tests: test/*.test.mjs (npm test), on synthetic timelines.
  *
  * Deps:
- *   npm i -D playwright pixelmatch pngjs fs-extra date-fns
+ *   npm install   (playwright pixelmatch pngjs fs-extra date-fns selfsigned plotly.js-dist-min)
  *   npx playwright install
  *   (no need for the 'open' package; uses OS open fallback)
  *
@@ -24,76 +70,346 @@
  *     "render": { "bg": "#ffffff", "fit": "contain" },
  *     "network": {
  *       "throttle": true, "latency": 200, "downKbps": 750, "upKbps": 250,
- *       "server": { "chunkBytes": 16384, "chunkDelayMs": 60 }
+ *       "server": { "chunkBytes": 16384, "chunkDelayMs": 60, "protocol": "http1|https1|h2",
+ *                   "negotiate": ["jxl", "avif", "webp"] },   // or true; Accept-based variant, tests[].negotiate overrides
+ *       "profile": "4g",                         // server-side shaping for every engine (see NETWORK_PROFILES)
+ *       "profiles": { "edge": { "downKbps": 240, "rttMs": 840, "jitterMs": 80, "stallEveryMs": 3000, "stallMs": 500 } }
  *     },
  *     "runs": 5,
- *     "tests": [ { "id": "...", "label": "...", "format": "jpeg|webp|avif|jxl|png", "url": "...", "notes": "" } ]
+ *     "retries": 1, "runTimeoutMs": 120000,       // per-run retries (default 0) / timeout (--retries, --run-timeout)
+ *     "metrics": { "thresholds": [0.5, 0.85, 0.95, 0.99], "reference": "files/source.png", "trace": true },  // reference: or tests[].reference / --reference; trace: or --trace
+ *                  // also "workers": 3, "compareScale": 0.5, "compareTolerance": { "ms": 100, "visIndex": 0.02 } (see Analysis Pool)
+ *     "capture": { "backend": "screenshot|screencast|video", "keepVideo": false, "filmstrip": true },  // filmstrip: or --filmstrip
+ *     "truncation": { "steps": [5, 10, 25, 50, 75, 100], "settleMs": 1000, "runs": 1, "only": false },
+ *     "report": { "formats": ["html", "svg"], "exports": ["md", "junit", "ndjson"] },  // or --report-format / --export; see Portable Reports, Exports
+ *     "budgets": { "maxErrorRate": 0.1,          // or --max-error-rate; see Budgets
+ *                  "rules": [ { "test": "*-progressive", "format": "jxl", "browser": "*", "t95": { "median": 1500, "p90": 2500 }, "visIndex": { "median": 0.4 } } ] },
+ *     "browsers": [
+ *       { "name": "chrome-stable", "engine": "chromium", "channel": "chrome", "headless": true,
+ *         "executablePath": "...", "args": ["--foo"] }
+ *     ],
+ *     "tests": [ { "id": "...", "label": "...", "format": "jpeg|webp|avif|jxl|png", "url": "...", "notes": "", "profile": "3g-slow" },
+ *                { "id": "grid", "type": "page", "format": "avif", "grid": { "url": "out/source.avif", "count": 9, "columns": 3 } },
+ *                { "id": "hero", "type": "page", "images": [{ "url": "...", "layout": "hero|tile|thumb", "name": "hero" }], "columns": 4 },
+ *                { "id": "article", "type": "page", "template": "pages/article.html" },   // see Page Scenarios
+ *                { "id": "pic", "type": "picture", "url": "out/source.jpg", "srcset": "...", "sizes": "...",
+ *                  "sources": [{ "type": "image/avif", "srcset": "out/source.avif", "media": "..." }] } ]
  *   }
  *
  * Runs precedence (highest wins): CLI --runs  →  RUNS env var  →  config.runs  →  default (5)
+ *
+ * Network profile precedence: CLI --profile  →  tests[].profile  →  network.profile  →  none (chunk cadence)
+ *
+ * Browsers: config.browsers (default: chromium, firefox, webkit, headed). `name` keys results, file names,
+ * meta.versions and the dashboard; `engine` picks the Playwright launcher. --browsers filters by name,
+ * --headless [true|false] overrides every entry.
  */
 
 import http from "http";
+import https from "https";
+import http2 from "http2";
 import fs from "fs-extra";
 import path from "path";
-import { fileURLToPath } from "url";
+import { fileURLToPath, pathToFileURL } from "url";
+import { createRequire } from "node:module";
 import { chromium, firefox, webkit } from "playwright";
 import pixelmatch from "pixelmatch";
 import { PNG } from "pngjs";
 import { formatISO } from "date-fns";
 import { execFile } from "node:child_process";
+import { promisify } from "node:util";
 import os from "os";
+import crypto from "crypto";
+import { Worker, isMainThread, parentPort, workerData } from "node:worker_threads";
+import selfsigned from "selfsigned";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const execFileP = promisify(execFile);
 
-/* ------------------------ CLI & Paths ------------------------ */
-const [, , cfgPath, ...argvRest] = process.argv;
-if (!cfgPath) {
-  console.log("Usage:\n  node progressive-image-bench-ui.mjs bench.config.json --root /path/to/assets [--runs 7]");
-  process.exit(1);
-}
-const args = Object.fromEntries(
-  argvRest.reduce((acc, v, i, a) => {
-    if (v.startsWith("--")) acc.push([v.replace(/^--/, ""), a[i + 1]?.startsWith("--") ? true : a[i + 1]]);
-    return acc;
-  }, [])
-);
-const ASSET_ROOT = path.resolve(args.root || process.cwd());
-
-const BROWSERS = [
-  { name: "chromium", launcher: chromium },
-  { name: "firefox", launcher: firefox },
-  { name: "webkit", launcher: webkit },
+/* ------------------------ Defaults ------------------------
+   Nothing here reads argv or touches the file system: the CLI (bin/progressive-image-bench.mjs)
+   parses flags and passes them to runBenchmark / compareResults / buildHistory (see Public API).
+------------------------------------------------------------------------- */
+const ENGINES = { chromium, firefox, webkit };
+const DEFAULT_BROWSERS = [
+  { name: "chromium", engine: "chromium" },
+  { name: "firefox", engine: "firefox" },
+  { name: "webkit", engine: "webkit" },
 ];
 
 const DEFAULT_VIEWPORT = { width: 1280, height: 800, deviceScaleFactor: 1 };
 const SNAPSHOT_INTERVAL_MS = 100;
 const MAX_CAPTURE_MS = 12000;
 const QUIET_PERIOD_MS = 700;
-const OUT_DIR = path.resolve(process.cwd(), "bench-results");
+// Whole run (load + capture + analysis), separate from MAX_CAPTURE_MS; config runTimeoutMs / --run-timeout
+const DEFAULT_RUN_TIMEOUT_MS = 120000;
+// Results directory, relative to the working directory (options.outDir / --out)
+const DEFAULT_OUT_DIR = "bench-results";
+// Completeness thresholds (config metrics.thresholds); each becomes a metric key: 0.85 → "t85", 0.995 → "t99.5"
+const DEFAULT_THRESHOLDS = [0.85, 0.95];
+const thresholdKey = th => `t${+(th * 100).toFixed(1)}`;
+// Paint milestones from computeVisualProgress
+const MILESTONES = ["tFirstPaint", "tFirstNonBg", "tFullExtent", "tLastChange"];
+// Final-frame fidelity against the reference image (see computeFidelity); only present with a reference
+const FIDELITY_METRICS = ["ssim", "psnr", "deltaE"];
+// Decode cost (see Decode Cost): harness timing on every engine, trace metrics on Chromium
+const DECODE_METRICS = ["tLoad", "tDecoded", "decodeMs", "decodeMainMs", "decodeCount", "longTasks", "longTaskMs", "blockingMs"];
+// Browser-reported paint timing (see PAINT_TIMING_SCRIPT): LCP, element timing, image resource timing
+const PAINT_METRICS = ["tLCP", "tElement", "tResponseStart", "tResponseEnd"];
+
+// Every per-run scalar that gets aggregated, derived from the configured thresholds.
+// Byte/pixel milestones (see correlateBytes): bytes/frac at first paint and at each threshold.
+function metricKeys(thresholds = DEFAULT_THRESHOLDS) {
+  const tKeys = thresholds.map(thresholdKey);
+  const bytes = ["FirstPaint", ...tKeys.map(k => k.slice(1))].flatMap(sfx => [`bytes${sfx}`, `frac${sfx}`]);
+  return { tKeys, bytes, all: [...tKeys, "visIndex", ...MILESTONES, ...bytes, ...FIDELITY_METRICS, ...DECODE_METRICS, ...PAINT_METRICS] };
+}
+
+/* ------------------------ Browser Matrix ------------------------ */
+function parseBool(v) {
+  if (v === true || v === false) return v;
+  return !/^(false|0|no|off)$/i.test(String(v));
+}
+
+// Entries may be plain engine names ("firefox") or objects; `engine` defaults to `name`.
+function resolveBrowsers(config, options = {}) {
+  const list = Array.isArray(config.browsers) && config.browsers.length ? config.browsers : DEFAULT_BROWSERS;
+  let browsers = list.map((entry, i) => {
+    const b = typeof entry === "string" ? { name: entry } : { ...entry };
+    b.engine = b.engine || b.name;
+    b.name = b.name || (b.channel ? `${b.engine}-${b.channel}` : b.engine);
+    if (!ENGINES[b.engine]) throw new Error(`browsers[${i}]: unknown engine "${b.engine}" (expected ${Object.keys(ENGINES).join("|")})`);
+    b.headless = b.headless == null ? false : parseBool(b.headless);
+    return b;
+  });
+
+  const names = browsers.map(b => b.name);
+  const dup = names.find((v, i) => names.indexOf(v) !== i);
+  if (dup) throw new Error(`browsers: duplicate name "${dup}"`);
+
+  if (options.browsers && options.browsers !== true) {
+    const want = String(options.browsers).split(",").map(s => s.trim()).filter(Boolean);
+    const unknown = want.filter(w => !names.includes(w));
+    if (unknown.length) throw new Error(`--browsers: unknown name(s) ${unknown.join(", ")} (configured: ${names.join(", ")})`);
+    browsers = want.map(w => browsers.find(b => b.name === w));
+  }
+  if (options.headless != null) browsers.forEach(b => { b.headless = parseBool(options.headless); });
+  return browsers;
+}
+
+function launchOptions(b) {
+  const opts = { headless: b.headless };
+  if (b.channel) opts.channel = b.channel;
+  if (b.executablePath) opts.executablePath = b.executablePath;
+  if (Array.isArray(b.args) && b.args.length) opts.args = b.args;
+  return opts;
+}
+
+// File-system safe form of a configured browser name (used in per-run JSON file names).
+function fileSafe(name) {
+  return String(name).replace(/[^A-Za-z0-9._-]+/g, "_");
+}
+
+/* ------------------------ Network Shaping ------------------------
+   Server-side shaping so every engine sees the same byte-arrival schedule:
+   token-bucket bandwidth, initial RTT + TTFB, per-write jitter and periodic stalls.
+   Jitter is drawn from a PRNG seeded by (seed, path), so repeated requests for the
+   same file get identical timing regardless of which browser asked.
+------------------------------------------------------------------------- */
+const NETWORK_PROFILES = {
+  "3g-slow": { downKbps: 400,   rttMs: 400, ttfbMs: 50, jitterMs: 40, stallEveryMs: 2000, stallMs: 300 },
+  "3g":      { downKbps: 1600,  rttMs: 300, ttfbMs: 30, jitterMs: 20 },
+  "4g":      { downKbps: 9000,  rttMs: 85,  ttfbMs: 20, jitterMs: 10 },
+  "cable":   { downKbps: 20000, rttMs: 28,  ttfbMs: 10, jitterMs: 2 },
+};
+const PROFILE_PARAM = "__profile";
+const TRUNCATE_PARAM = "__truncate";
+const NEGOTIATE_PARAM = "__negotiate";
+const SCENE_PREFIX = "/__scene/";
+
+const sleep = ms => new Promise(r => setTimeout(r, Math.max(0, ms)));
+
+function seededRandom(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) { h ^= str.charCodeAt(i); h = Math.imul(h, 16777619); }
+  return () => {
+    h = (h + 0x6D2B79F5) | 0;
+    let t = Math.imul(h ^ (h >>> 15), 1 | h);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// "off"/"none" disables shaping (legacy chunk cadence); unknown names are a config error.
+function resolveProfile(name, profiles) {
+  if (name == null || name === "" || name === "off" || name === "none") return null;
+  const shape = profiles[name];
+  if (!shape) throw new Error(`unknown network profile "${name}" (known: ${Object.keys(profiles).join(", ")})`);
+  return { name, ...shape };
+}
+
+// The client went away: HTTP/1 responses are destroyed, HTTP/2 compat ones through their stream.
+const responseGone = res => !!(res.destroyed || res.stream?.destroyed);
+
+// Resolves on "drain", or on "close"/"error" when the client disconnects before the buffer drains.
+function drained(res) {
+  return new Promise(resolve => {
+    const done = () => { for (const e of ["drain", "close", "error"]) res.off(e, done); resolve(); };
+    for (const e of ["drain", "close", "error"]) res.on(e, done);
+  });
+}
+
+// Stops (record.aborted) once the client disconnects, so no timer or write outlives the response.
+async function sendShaped(res, filePath, shape, { chunkBytes, seed, record }) {
+  const rand = seededRandom(`${seed}:${record.path}`);
+  const jitter = () => (shape.jitterMs ? rand() * shape.jitterMs : 0);
+  const bytesPerMs = (shape.downKbps ?? 1000) * 1024 / 8 / 1000;
+  const burst = Math.max(1, shape.burstBytes ?? chunkBytes);
+  const slice = Math.max(1, Math.min(chunkBytes, burst));
+
+  await sleep((shape.rttMs ?? 0) + (shape.ttfbMs ?? 0) + jitter());
+  flushHeaders(res);
+
+  const buf = await fs.readFile(filePath);
+  let tokens = 0;
+  let last = Date.now();
+  let nextStall = shape.stallEveryMs ? last + shape.stallEveryMs : Infinity;
+  let offset = 0;
+
+  while (offset < buf.length) {
+    if (responseGone(res)) { record.aborted = true; return; }
+    if (Date.now() >= nextStall) {
+      await sleep(shape.stallMs ?? 0);
+      last = Date.now();
+      nextStall = last + shape.stallEveryMs;
+    }
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + (now - last) * bytesPerMs);
+    last = now;
+
+    const want = Math.min(slice, buf.length - offset);
+    if (tokens < want) { await sleep((want - tokens) / bytesPerMs + jitter()); continue; }
+
+    const chunk = buf.subarray(offset, offset + want);
+    offset += want;
+    tokens -= want;
+    record.totalBytes += chunk.length;
+    record.chunks.push({ t: Date.now() - record.startedAt, n: chunk.length });
+    if (!res.write(chunk) && !responseGone(res)) await drained(res);
+  }
+}
+
+/* ------------------------ TLS ------------------------ */
+const PROTOCOLS = ["http1", "https1", "h2"];
+
+// Self-signed cert for 127.0.0.1/localhost, or the configured PEM files. Browser contexts
+// are created with ignoreHTTPSErrors, so the cert never needs to be trusted.
+async function loadCertificate({ certFile, keyFile } = {}) {
+  if (certFile && keyFile) {
+    return { cert: await fs.readFile(path.resolve(certFile)), key: await fs.readFile(path.resolve(keyFile)) };
+  }
+  const notBeforeDate = new Date(Date.now() - 60 * 1000);
+  const pems = await selfsigned.generate([{ name: "commonName", value: "127.0.0.1" }], {
+    keySize: 2048,
+    algorithm: "sha256",
+    notBeforeDate,
+    notAfterDate: new Date(notBeforeDate.getTime() + 7 * 24 * 3600 * 1000),
+    extensions: [
+      { name: "basicConstraints", cA: false },
+      { name: "keyUsage", digitalSignature: true, keyEncipherment: true },
+      { name: "extKeyUsage", serverAuth: true },
+      { name: "subjectAltName", altNames: [{ type: 2, value: "localhost" }, { type: 7, ip: "127.0.0.1" }] }
+    ]
+  });
+  return { cert: pems.cert, key: pems.private };
+}
+
+// Node's http2 compat response has no flushHeaders(); writeHead() sends the HEADERS frame right away.
+function flushHeaders(res) {
+  if (typeof res.flushHeaders === "function") res.flushHeaders();
+  else if (!res.headersSent) res.writeHead(res.statusCode);
+}
 
-/* ------------------------ Throttled HTTP Server ------------------------ */
-function startThrottledServer({ port = 0, chunkBytes = 16 * 1024, chunkDelayMs = 60 } = {}) {
+/* ------------------------ Throttled HTTP Server ------------------------
+   Without a profile: fixed chunkBytes/chunkDelayMs cadence (legacy behaviour).
+   With a profile (server-wide default, or ?__profile=<name> per request): sendShaped().
+   With ?__truncate=<0..1>: writes exactly that prefix of the file at once, then holds the
+   response open (never ends it) so the browser paints what it can from a partial file.
+   negotiate (server-wide: true or an extension order, or ?__negotiate=1|0 per request): serves the
+   first sibling file (same path, other extension) whose type the Accept header lists explicitly.
+   hostScene(html) → URL under /__scene/: harness pages are navigated to (unshaped, not traced) so
+   every run gets a fresh document and images are same-origin (full paint/resource timing).
+   The same html gets the same URL, so a test's scene is stored once however many browsers run it.
+   protocol: "http1" (plaintext), "https1" (TLS, HTTP/1.1) or "h2" (TLS, HTTP/2 with HTTP/1.1 fallback).
+------------------------------------------------------------------------- */
+async function startThrottledServer({ root = process.cwd(), port = 0, chunkBytes = 16 * 1024, chunkDelayMs = 60, profiles = NETWORK_PROFILES, profile = null, seed = 1,
+                                      protocol = "http1", certFile, keyFile, negotiate = false } = {}) {
+  if (!PROTOCOLS.includes(protocol)) throw new Error(`network.server.protocol: expected ${PROTOCOLS.join("|")}, got "${protocol}"`);
+  const assetRoot = path.resolve(root);
   const traces = [];
-  const server = http.createServer(async (req, res) => {
+  const scenes = new Map(), sceneIds = new Map();
+  const handler = async (req, res) => {
     const startedAt = Date.now();
-    const record = { path: (req.url || "/").replace(/\?.*$/, ""), startedAt, chunks: [], totalBytes: 0 };
+    const query = new URLSearchParams((req.url || "").split("?")[1] || "");
+    const record = { path: (req.url || "/").replace(/\?.*$/, ""), search: /\?.*$/.exec(req.url || "")?.[0] ?? "", startedAt, protocol: req.httpVersion === "2.0" ? "h2" : `http/${req.httpVersion}`,
+                     accept: req.headers.accept ?? null, chunks: [], totalBytes: 0 };
     try {
       const clean = record.path;
       if (clean === "/" || clean === "/favicon.ico") { res.statusCode = 204; res.end(); return; }
+      if (clean.startsWith(SCENE_PREFIX)) {
+        const html = scenes.get(clean.slice(SCENE_PREFIX.length));
+        res.statusCode = html == null ? 404 : 200;
+        res.setHeader("Content-Type", "text/html; charset=utf-8");
+        res.setHeader("Cache-Control", "no-store");
+        res.end(html ?? "Not found");
+        return;
+      }
+
+      const shape = resolveProfile(query.has(PROFILE_PARAM) ? query.get(PROFILE_PARAM) : profile, profiles);
+      record.profile = shape?.name ?? null;
 
       const urlPath = decodeURIComponent(clean);
-      const filePath = path.normalize(path.join(ASSET_ROOT, urlPath));
-      if (!filePath.startsWith(ASSET_ROOT)) { res.statusCode = 403; res.end("Forbidden"); return; }
+      const requested = path.normalize(path.join(assetRoot, urlPath));
+      if (!requested.startsWith(assetRoot)) { res.statusCode = 403; res.end("Forbidden"); return; }
+      const negotiating = query.has(NEGOTIATE_PARAM) ? query.get(NEGOTIATE_PARAM) !== "0" : !!negotiate;
+      const filePath = negotiating ? await negotiateFile(requested, record.accept, Array.isArray(negotiate) ? negotiate : NEGOTIATE_ORDER) : requested;
       const stat = await fs.stat(filePath).catch(() => null);
       if (!stat || !stat.isFile()) { res.statusCode = 404; res.end("Not found"); return; }
 
+      record.file = path.relative(assetRoot, filePath).split(path.sep).join("/");
+      record.contentType = guessContentType(filePath);
+      record.negotiate = negotiating;
+      record.negotiated = filePath !== requested;
       res.statusCode = 200;
-      res.setHeader("Content-Type", guessContentType(filePath));
+      res.setHeader("Content-Type", record.contentType);
       res.setHeader("Cache-Control", "no-store");
+      res.setHeader("Timing-Allow-Origin", "*");
+      if (negotiating) res.setHeader("Vary", "Accept");
       if (req.method === "HEAD") { res.end(); return; }
-      res.flushHeaders?.();
 
+      // Listed as soon as the body starts so runs can be correlated while the transfer is still in flight.
+      record.fileBytes = stat.size;
+      traces.push(record);
+
+      if (query.has(TRUNCATE_PARAM)) {
+        const fraction = Math.min(1, Math.max(0, Number(query.get(TRUNCATE_PARAM)) || 0));
+        record.truncateBytes = Math.floor(stat.size * fraction);
+        flushHeaders(res);
+        const prefix = (await fs.readFile(filePath)).subarray(0, record.truncateBytes);
+        if (prefix.length) res.write(prefix);
+        record.totalBytes = prefix.length;
+        record.chunks.push({ t: Date.now() - startedAt, n: prefix.length });
+        if (record.truncateBytes >= stat.size) res.end();
+        return;
+      }
+
+      if (shape) {
+        await sendShaped(res, filePath, shape, { chunkBytes, seed, record });
+        res.end();
+        return;
+      }
+
+      flushHeaders(res);
       const stream = fs.createReadStream(filePath, { highWaterMark: chunkBytes });
       stream.on("data", chunk => {
         record.totalBytes += chunk.length;
@@ -102,19 +418,59 @@ function startThrottledServer({ port = 0, chunkBytes = 16 * 1024, chunkDelayMs =
         stream.pause();
         setTimeout(() => stream.resume(), chunkDelayMs);
       });
-      stream.on("end", () => { res.end(); traces.push(record); });
+      stream.on("end", () => { res.end(); });
       stream.on("error", () => {
         if (!res.headersSent) { res.statusCode = 500; res.end("Error"); }
         else { try { res.end(); } catch {} }
-        traces.push(record);
       });
     } catch {
       if (!res.headersSent) { res.statusCode = 500; res.end("Error"); }
       else { try { res.end(); } catch {} }
-      traces.push(record);
+      if (!traces.includes(record)) traces.push(record);
     }
-  });
-  return new Promise(resolve => server.listen(port, "127.0.0.1", () => resolve({ server, port: server.address().port, traces })));
+  };
+
+  let server;
+  if (protocol === "http1") server = http.createServer(handler);
+  else {
+    const tls = await loadCertificate({ certFile, keyFile });
+    server = protocol === "h2"
+      ? http2.createSecureServer({ ...tls, allowHTTP1: true }, handler)
+      : https.createServer(tls, handler);
+  }
+  const scheme = protocol === "http1" ? "http" : "https";
+  return new Promise(resolve => server.listen(port, "127.0.0.1", () => {
+    const actualPort = server.address().port;
+    const baseURL = `${scheme}://127.0.0.1:${actualPort}`;
+    const hostScene = html => {
+      if (!sceneIds.has(html)) { sceneIds.set(html, String(scenes.size + 1)); scenes.set(sceneIds.get(html), html); }
+      return `${baseURL}${SCENE_PREFIX}${sceneIds.get(html)}`;
+    };
+    resolve({ server, port: actualPort, traces, protocol, baseURL, hostScene });
+  }));
+}
+
+// Accept negotiation: preferred extensions, most efficient first.
+const NEGOTIATE_ORDER = ["jxl", "avif", "webp"];
+
+// Explicitly listed types with q > 0. Wildcards (image/*, */*) do not count: every engine sends
+// them, so they say nothing about decoder support.
+function acceptedTypes(accept) {
+  return new Set(String(accept || "").split(",").map(part => {
+    const [type, ...params] = part.trim().toLowerCase().split(/\s*;\s*/);
+    const q = params.find(p => p.startsWith("q="));
+    return q && !(Number(q.slice(2)) > 0) ? null : type;
+  }).filter(t => t && !t.includes("*")));
+}
+
+async function negotiateFile(filePath, accept, order = NEGOTIATE_ORDER) {
+  const accepted = acceptedTypes(accept);
+  for (const ext of order) {
+    const candidate = filePath.replace(/\.[^./\\]+$/, "") + "." + ext;
+    if (!accepted.has(guessContentType(candidate))) continue;
+    if (candidate === filePath || (await fs.stat(candidate).catch(() => null))?.isFile()) return candidate;
+  }
+  return filePath;
 }
 
 function guessContentType(p) {
@@ -128,32 +484,305 @@ function guessContentType(p) {
   return "application/octet-stream";
 }
 
+/* ------------------------ Asset Probe ------------------------
+   Pre-run probe of every local test asset: bytes, sha256, container/codec sniffed from the
+   magic bytes (not the extension guessContentType serves), intrinsic dimensions from the
+   headers, and bits per pixel. Flags files whose content does not match their extension or
+   tests[].format, and variants of one source (tests[].source, else the file stem) whose
+   dimensions differ from the rest.
+------------------------------------------------------------------------- */
+const SOF_MARKERS = new Set([0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF]);
+const CONTAINER_TYPES = { jpeg: "image/jpeg", png: "image/png", gif: "image/gif", webp: "image/webp", avif: "image/avif", heif: "image/heif", jxl: "image/jxl" };
+
+function jpegInfo(buf) {
+  for (let i = 2; i + 9 < buf.length;) {
+    if (buf[i] !== 0xFF) { i++; continue; }
+    const marker = buf[i + 1];
+    if (marker === 0xFF) { i++; continue; }
+    if (marker === 0xD8 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) { i += 2; continue; }
+    if (SOF_MARKERS.has(marker)) {
+      return { codec: marker === 0xC2 || marker === 0xC6 || marker === 0xCA || marker === 0xCE ? "jpeg-progressive" : "jpeg-baseline",
+               height: buf.readUInt16BE(i + 5), width: buf.readUInt16BE(i + 7) };
+    }
+    i += 2 + buf.readUInt16BE(i + 2);
+  }
+  return { codec: "jpeg" };
+}
+
+function webpInfo(buf) {
+  const chunk = buf.toString("latin1", 12, 16);
+  if (chunk === "VP8 ") return { codec: "vp8", width: buf.readUInt16LE(26) & 0x3FFF, height: buf.readUInt16LE(28) & 0x3FFF };
+  if (chunk === "VP8L") {
+    const b = buf.readUInt32LE(21);
+    return { codec: "vp8l", width: (b & 0x3FFF) + 1, height: ((b >>> 14) & 0x3FFF) + 1 };
+  }
+  if (chunk === "VP8X") return { codec: "vp8x", width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+  return { codec: "webp" };
+}
+
+// ISOBMFF (AVIF/HEIF): the largest 'ispe' (image spatial extents) property is the primary image.
+function ispeInfo(buf) {
+  let best = null;
+  for (let i = buf.indexOf("ispe"); i >= 0 && i + 16 <= buf.length; i = buf.indexOf("ispe", i + 4)) {
+    const width = buf.readUInt32BE(i + 8), height = buf.readUInt32BE(i + 12);
+    if (!best || width * height > best.width * best.height) best = { width, height };
+  }
+  return best || {};
+}
+
+// JPEG XL SizeHeader (codestream starts FF 0A), read LSB-first.
+function jxlSize(buf, start) {
+  let pos = start * 8;
+  const bits = n => { let v = 0; for (let k = 0; k < n; k++, pos++) v |= ((buf[pos >> 3] >> (pos & 7)) & 1) << k; return v >>> 0; };
+  const u32 = () => [[9, 1], [13, 1], [18, 1], [30, 1]].map(([n, o]) => () => bits(n) + o)[bits(2)]();
+  const small = bits(1);
+  const height = small ? (bits(5) + 1) * 8 : u32();
+  const ratio = bits(3);
+  const ratios = [null, [1, 1], [12, 10], [4, 3], [3, 2], [16, 9], [5, 4], [2, 1]];
+  const width = ratio ? Math.floor(height * ratios[ratio][0] / ratios[ratio][1]) : small ? (bits(5) + 1) * 8 : u32();
+  return { width, height };
+}
+
+function jxlInfo(buf) {
+  if (buf[0] === 0xFF && buf[1] === 0x0A) return { codec: "jxl-codestream", ...jxlSize(buf, 2) };
+  for (let i = 0; i + 8 <= buf.length;) {  // container: codestream in 'jxlc' or the first 'jxlp' box
+    const size = buf.readUInt32BE(i), type = buf.toString("latin1", i + 4, i + 8);
+    if (type === "jxlc") return { codec: "jxl-container", ...jxlSize(buf, i + 10) };
+    if (type === "jxlp") return { codec: "jxl-container", ...jxlSize(buf, i + 14) };
+    if (size < 8) break;
+    i += size;
+  }
+  return { codec: "jxl-container" };
+}
+
+function sniffImage(buf) {
+  const ascii = (a, b) => buf.toString("latin1", a, b);
+  if (buf[0] === 0xFF && buf[1] === 0xD8 && buf[2] === 0xFF) return { container: "jpeg", ...jpegInfo(buf) };
+  if (ascii(1, 4) === "PNG" && buf[0] === 0x89) {
+    return { container: "png", codec: buf[28] ? "png-interlaced" : "png", width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  }
+  if (ascii(0, 4) === "GIF8") return { container: "gif", codec: "gif", width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return { container: "webp", ...webpInfo(buf) };
+  if (ascii(4, 8) === "ftyp") {
+    const brands = ascii(8, 12) + ascii(16, Math.min(buf.readUInt32BE(0), 64));
+    if (/avi[fs]/.test(brands)) return { container: "avif", codec: "av1", ...ispeInfo(buf) };
+    if (/hei[cx]|mif1/.test(brands)) return { container: "heif", codec: "hevc", ...ispeInfo(buf) };
+  }
+  if ((buf[0] === 0xFF && buf[1] === 0x0A) || ascii(4, 8) === "JXL ") return { container: "jxl", ...jxlInfo(buf) };
+  return { container: "unknown", codec: null };
+}
+
+// root: --root; the recorded file path is relative to it.
+async function probeAsset(file, { format } = {}, root = process.cwd()) {
+  const buf = await fs.readFile(file);
+  const sniff = sniffImage(buf);
+  const { width = null, height = null } = sniff;
+  const contentType = guessContentType(file);
+  const flags = [];
+  if (sniff.container === "unknown") flags.push("unrecognized image content");
+  else if (CONTAINER_TYPES[sniff.container] !== contentType) flags.push(`content is ${sniff.container} but extension serves ${contentType}`);
+  if (format && sniff.container !== "unknown" && format !== sniff.container) flags.push(`tests[].format is ${format} but content is ${sniff.container}`);
+  return {
+    file: path.relative(root, file),
+    bytes: buf.length,
+    sha256: crypto.createHash("sha256").update(buf).digest("hex"),
+    contentType,
+    container: sniff.container,
+    codec: sniff.codec ?? null,
+    width, height,
+    bpp: width && height ? +(buf.length * 8 / (width * height)).toFixed(4) : null,
+    flags
+  };
+}
+
+// Probes every local test; external URLs get null. Returns Map(id → probe).
+async function probeTests(tests, root = process.cwd()) {
+  const probes = new Map();
+  for (const tc of tests) {
+    // Page and picture tests load several candidates; their fetched file is recorded per run instead
+    if (tc.type === "page" || tc.type === "picture" || /^https?:\/\//i.test(tc.url)) { probes.set(tc.id, null); continue; }
+    const file = path.join(root, decodeURIComponent(tc.url.replace(/[?#].*$/, "").replace(/^\//, "")));
+    probes.set(tc.id, await probeAsset(file, tc, root).catch(err => ({ file: path.relative(root, file), flags: [`probe failed: ${err.message}`] })));
+  }
+  // Variants of one source should share its dimensions; flag the ones that differ from the majority.
+  const sources = new Map();
+  for (const tc of tests) {
+    const p = probes.get(tc.id);
+    if (!p?.width) continue;
+    const key = tc.source ?? path.join(path.dirname(p.file), path.basename(p.file).split(".")[0]);
+    if (!sources.has(key)) sources.set(key, []);
+    sources.get(key).push(p);
+  }
+  for (const [source, group] of sources) {
+    const counts = new Map();
+    group.forEach(p => counts.set(`${p.width}x${p.height}`, (counts.get(`${p.width}x${p.height}`) || 0) + 1));
+    const [common] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+    group.filter(p => `${p.width}x${p.height}` !== common)
+      .forEach(p => p.flags.push(`dimensions ${p.width}x${p.height} differ from ${common} of other variants of ${source}`));
+  }
+  return probes;
+}
+
+// naturalWidth/naturalHeight as decoded by the browser (0×0 when decoding failed), the
+// candidate it picked (currentSrc: <picture>/srcset choice) and the harness load/decode times
+// relative to request start (tLoad: load event, tDecoded: img.decode() resolved; decodeFailed when
+// img.decode() rejected, flagged by aggregate).
+const imageState = async (page, tStart) => {
+  const { loadAt, decodedAt, decodeFailed, ...state } = await page.evaluate(() => {
+    const img = document.getElementById('tgt');
+    const b = window.__bench || {};
+    return img ? { natural: { width: img.naturalWidth, height: img.naturalHeight }, currentSrc: img.currentSrc || img.src, loadAt: b.loadAt, decodedAt: b.decodedAt, decodeFailed: !!b.decodeFailed } : { natural: null };
+  });
+  const { elementTimes, ...paint } = await paintTiming(page, tStart, state.currentSrc);
+  return { ...state, tLoad: loadAt ? loadAt - tStart : null, tDecoded: decodedAt ? decodedAt - tStart : null, ...(decodeFailed ? { decodeFailed } : {}),
+           ...paint, tElement: elementTimes.bench ?? null };
+};
+
+// PAINT_TIMING_SCRIPT entries relative to request start: tLCP (+ lcp: { size, url, element }),
+// elementTimes by elementtiming identifier, tResponseStart/tResponseEnd of the image request `src`.
+async function paintTiming(page, tStart, src = null) {
+  const b = await page.evaluate(() => window.__bench || {}).catch(() => ({}));
+  const rel = at => at ? Math.round(at - tStart) : null;
+  const res = (b.resources || []).filter(r => r.url === src).pop();
+  return {
+    tLCP: rel(b.lcp?.at),
+    lcp: b.lcp ? { size: b.lcp.size, url: b.lcp.url, element: b.lcp.element } : null,
+    elementTimes: Object.fromEntries(Object.entries(b.elements || {}).map(([k, at]) => [k, rel(at)])),
+    tResponseStart: rel(res?.responseStart),
+    tResponseEnd: rel(res?.responseEnd)
+  };
+}
+
+// Backend extra for a finished scene: layout elements + page timing (multi), image state (single)
+const sceneState = async (page, tStart, layout) => layout
+  ? { elements: layout.elements, ...await paintTiming(page, tStart) }
+  : imageState(page, tStart);
+
 /* ------------------------ Visual Metrics ------------------------ */
-function similarity(bufA, bufB) {
-  const imgA = PNG.sync.read(bufA);
-  const imgB = PNG.sync.read(bufB);
+// Buffers posted to an analysis worker arrive as plain Uint8Arrays
+const decodePng = buf => PNG.sync.read(Buffer.isBuffer(buf) ? buf : Buffer.from(buf.buffer, buf.byteOffset, buf.byteLength));
+
+// scale < 1 compares box-downscaled frames (metrics.compareScale, see Analysis Pool)
+function similarity(bufA, bufB, scale = 1) {
+  return similarityRaw(downscale(decodePng(bufA), scale), downscale(decodePng(bufB), scale));
+}
+
+function similarityRaw(imgA, imgB) {
   if (imgA.width !== imgB.width || imgA.height !== imgB.height) throw new Error("Dimension mismatch");
   const { width, height } = imgA;
-  const diff = new PNG({ width, height });
-  const mismatched = pixelmatch(imgA.data, imgB.data, diff.data, width, height, { threshold: 0.1, includeAA: true });
-  const total = width * height;
-  return 1 - mismatched / total;
+  const mismatched = pixelmatch(imgA.data, imgB.data, null, width, height, { threshold: 0.1, includeAA: true });
+  return 1 - mismatched / (width * height);
+}
+
+// Box filter: every output pixel is the mean of the source pixels it covers.
+function downscale(img, scale = 1) {
+  if (!(scale < 1)) return img;
+  const { width: w, height: h, data } = img;
+  const ow = Math.max(1, Math.round(w * scale)), oh = Math.max(1, Math.round(h * scale));
+  const out = new Uint8Array(ow * oh * 4);
+  for (let oy = 0; oy < oh; oy++) {
+    const y0 = Math.floor(oy * h / oh), y1 = Math.max(y0 + 1, Math.floor((oy + 1) * h / oh));
+    for (let ox = 0; ox < ow; ox++) {
+      const x0 = Math.floor(ox * w / ow), x1 = Math.max(x0 + 1, Math.floor((ox + 1) * w / ow));
+      const sum = [0, 0, 0, 0];
+      for (let y = y0; y < y1; y++) for (let x = x0; x < x1; x++) {
+        const i = (y * w + x) * 4;
+        sum[0] += data[i]; sum[1] += data[i + 1]; sum[2] += data[i + 2]; sum[3] += data[i + 3];
+      }
+      const n = (y1 - y0) * (x1 - x0), o = (oy * ow + ox) * 4;
+      for (let c = 0; c < 4; c++) out[o + c] = Math.round(sum[c] / n);
+    }
+  }
+  return { width: ow, height: oh, data: out };
+}
+
+/* Per-cell paint coverage on a GRID×GRID grid: a cell counts as painted when more than 1% of
+ * its pixels differ from the page background (any channel by more than BG_TOLERANCE). */
+const GRID = 16;
+const BG_TOLERANCE = 12;
+function paintedCells(img, bgRGB) {
+  const { width: w, height: h, data } = img;
+  const counts = new Array(GRID * GRID).fill(0), totals = new Array(GRID * GRID).fill(0);
+  for (let y = 0; y < h; y++) {
+    const cy = Math.min(GRID - 1, Math.floor(y * GRID / h));
+    for (let x = 0; x < w; x++) {
+      const cell = cy * GRID + Math.min(GRID - 1, Math.floor(x * GRID / w));
+      const i = (y * w + x) * 4;
+      totals[cell]++;
+      if (Math.abs(data[i] - bgRGB[0]) > BG_TOLERANCE || Math.abs(data[i + 1] - bgRGB[1]) > BG_TOLERANCE || Math.abs(data[i + 2] - bgRGB[2]) > BG_TOLERANCE) counts[cell]++;
+    }
+  }
+  return counts.map((c, i) => totals[i] > 0 && c / totals[i] > 0.01);
 }
 
-function computeVisualProgress(timeline) {
-  if (!timeline?.length) return { samples: [], t85: null, t95: null, visIndex: 0 };
-  if (timeline.length === 1) return { samples: [{ t: 0, completeness: 1 }], t85: 0, t95: 0, visIndex: 0 };
+/* Milestones:
+ *   tFirstPaint  – first frame that differs from the initial (pre-paint) frame
+ *   tFirstNonBg  – first frame with non-background content in a cell that was empty initially
+ *   tFullExtent  – first frame covering ≥95% of the final frame's content cells (e.g. a low-res
+ *                  preview over the whole box); cells already painted in the first frame and
+ *                  unchanged at the end (overlays) are ignored
+ *   tLastChange  – last frame that differs from its predecessor */
+function computeVisualProgress(timeline, { thresholds = DEFAULT_THRESHOLDS, bg = "#ffffff", scale = 1 } = {}) {
+  if (!timeline?.length || timeline.length === 1) return progressFromStats(timeline?.map(f => f.t) ?? [], [], thresholds);
+  const pngs = timeline.map(f => f.png);
+  return progressFromStats(timeline.map(f => f.t), frameStats(pngs, { final: pngs[pngs.length - 1], first: pngs[0], bg, scale }), thresholds);
+}
 
-  const finalFrame = timeline[timeline.length - 1].png;
-  const samples = timeline.map(({ t, png }) => {
-    const sim = similarity(png, finalFrame);
-    const c = Math.min(1, Math.max(0, sim));
-    return { t, completeness: +c.toFixed(4) };
+// The expensive part, per frame: similarity to the final, first and previous frame plus painted
+// cells. Runs on a contiguous slice of a timeline (prev: the frame before it), inline or in the
+// analysis pool (see analyzeProgress).
+function frameStats(pngs, { final, first, prev = null, bg = "#ffffff", scale = 1 }) {
+  const read = buf => downscale(decodePng(buf), scale);
+  const finalImg = read(final), firstImg = read(first), bgRGB = parseHexColor(bg);
+  let prevImg = prev ? read(prev) : null;
+  return pngs.map(png => {
+    const img = read(png);
+    const stats = imageStats(img, { finalImg, firstImg, prevImg, bgRGB });
+    prevImg = img;
+    return stats;
   });
+}
+
+// One decoded frame against the final, first and previous frame of the same size.
+const imageStats = (img, { finalImg, firstImg, prevImg, bgRGB }) => ({
+  toFinal: similarityRaw(img, finalImg),
+  toFirst: similarityRaw(img, firstImg),
+  toPrev: prevImg ? similarityRaw(img, prevImg) : 1,
+  cells: paintedCells(img, bgRGB)
+});
+
+// ts: frame times; stats: frameStats of the whole timeline.
+function progressFromStats(ts, stats, thresholds = DEFAULT_THRESHOLDS) {
+  const tKeys = thresholds.map(thresholdKey);
+  const fill = v => Object.fromEntries(tKeys.map(k => [k, v]));
+  const flat = v => ({ tFirstPaint: v, tFirstNonBg: v, tFullExtent: v, tLastChange: v });
+  if (!ts.length) return { samples: [], ...fill(null), visIndex: 0, ...flat(null) };
+  if (ts.length === 1) return { samples: [{ t: 0, completeness: 1 }], ...fill(0), visIndex: 0, ...flat(0) };
+
+  const samples = ts.map((t, i) => ({ t, completeness: +Math.min(1, Math.max(0, stats[i].toFinal)).toFixed(4) }));
 
   const t0 = samples[0].t;
+  const tFirstPaint = ts.find((t, i) => stats[i].toFirst < 0.999) ?? t0;
+  let tLastChange = t0;
+  for (let i = 1; i < ts.length; i++) if (stats[i].toPrev < 0.999) tLastChange = ts[i];
+
+  const firstCells = stats[0].cells, finalCells = stats[stats.length - 1].cells;
+  const staticCells = firstCells.map((p, i) => p && finalCells[i]);
+  const contentCells = finalCells.map((p, i) => p && !staticCells[i]);
+  const nContent = contentCells.filter(Boolean).length;
+  let tFirstNonBg = null, tFullExtent = null;
+  for (const [i, t] of ts.entries()) {
+    if (tFirstNonBg != null && tFullExtent != null) break;
+    const { cells } = stats[i];
+    if (tFirstNonBg == null && cells.some((p, j) => p && !firstCells[j])) tFirstNonBg = t;
+    if (tFullExtent == null && nContent > 0 && cells.filter((p, j) => p && contentCells[j]).length >= 0.95 * nContent) tFullExtent = t;
+  }
+  if (nContent === 0) tFullExtent = t0; // nothing left to paint beyond the first frame
+  tFirstNonBg ??= firstCells.some(Boolean) ? t0 : null;
+  const milestones = { tFirstPaint, tFirstNonBg, tFullExtent, tLastChange };
+
   const tEnd = samples[samples.length - 1].t;
-  if (tEnd <= t0) return { samples, t85: 0, t95: 0, visIndex: 0 };
+  if (tEnd <= t0) return { samples, ...fill(0), visIndex: 0, ...milestones };
 
   let area = 0;
   for (let i = 1; i < samples.length; i++) {
@@ -162,315 +791,3111 @@ function computeVisualProgress(timeline) {
   }
   const visIndex = area / (tEnd - t0);
 
-  const t85 = samples.find(s => s.completeness >= 0.85)?.t ?? null;
-  const t95 = samples.find(s => s.completeness >= 0.95)?.t ?? null;
+  const crossings = Object.fromEntries(thresholds.map(th => [thresholdKey(th), samples.find(s => s.completeness >= th)?.t ?? null]));
 
-  return { samples, t85, t95, visIndex: +visIndex.toFixed(4) };
+  return { samples, ...crossings, visIndex: +visIndex.toFixed(4), ...milestones };
 }
 
-/* ------------------------ Page Harness ------------------------ */
-const HARNESS_HTML = ({ url, bg = "#ffffff", fit = "contain" }) => `<!doctype html>
-<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1" />
-<style>
-  html, body { height: 100%; margin: 0; background: ${bg}; }
-  .wrap { display:flex; align-items:center; justify-content:center; height:100%; }
-  img { max-width:95vw; max-height:95vh; object-fit:${fit}; image-rendering:auto; }
-  .tip { position:fixed; top:8px; left:12px; font:14px/1.4 system-ui; color:#444; background:rgba(255,255,255,.8); padding:6px 10px; border-radius:8px; }
-</style></head>
-<body>
-<div class="wrap"><img id="tgt" src="${url}" decoding="auto" loading="eager" /></div>
-<div class="tip">Loading: ${url}</div>
-</body></html>`;
+function resolveThresholds(config) {
+  const list = config.metrics?.thresholds ?? DEFAULT_THRESHOLDS;
+  if (!Array.isArray(list) || !list.length || list.some(v => typeof v !== "number" || !(v > 0 && v <= 1))) {
+    throw new Error("metrics.thresholds: expected a non-empty list of fractions in (0, 1]");
+  }
+  return [...new Set(list)].sort((a, b) => a - b);
+}
 
-/* ------------------------ Bench Runner ------------------------ */
-async function runOne(page, url, opts) {
-  const html = HARNESS_HTML({ url, ...opts });
-  const tStart = Date.now();
-  await page.setContent(html, { waitUntil: "domcontentloaded", timeout: 30000 });
+/* ------------------------ Analysis Pool ------------------------
+   Frame decoding and comparison run on worker_threads: this same script started with
+   workerData.role "analysis" (see the entry point at the bottom). metrics.workers / --workers
+   sets the pool size (default: cores − 1, at least 1; 0 analyses inline on the main thread).
+     capture    each screenshot is queued against its predecessor ("diff") and the loop moves on, so
+                the capture cadence no longer depends on how long a comparison takes; only once
+                the frames look quiet does the loop wait for the outstanding comparisons.
+     analysis   a run's frames are split into one contiguous slice per worker: completeness and
+                milestones ("frameStats"), reference fidelity ("fidelityStats") and the image
+                boxes of page scenes ("elementStats").
+   finishRun copies each frame once into shared memory (shareBuffer), so slices, the final and
+   first frame and the scaled reference reach every worker without a copy per message.
+   metrics.compareScale / --compare-scale (0 < s ≤ 1, default 1) compares box-downscaled frames.
+   The first run of each test per browser is then also analysed at full resolution and gets
+   scaleCheck: tNN and milestones must agree within compareTolerance.ms, visIndex within
+   compareTolerance.visIndex, otherwise the test is flagged.
+------------------------------------------------------------------------- */
+const ANALYSIS_ROLE = "analysis";
+const DEFAULT_COMPARE_TOLERANCE = { ms: 100, visIndex: 0.02 };
+const ANALYSIS_OPS = { diff: similarity, frameStats, fidelityStats, elementStats };
 
-  // Clip to the <img> region so we measure only image progress
-  const bbox = await page.evaluate(() => {
-    const el = document.getElementById('tgt');
-    const r = el.getBoundingClientRect();
-    return { x: Math.max(0, r.x), y: Math.max(0, r.y), width: r.width, height: r.height, dpr: window.devicePixelRatio || 1 };
-  });
-  const clip = {
-    x: Math.floor(bbox.x * bbox.dpr),
-    y: Math.floor(bbox.y * bbox.dpr),
-    width: Math.max(1, Math.ceil(bbox.width * bbox.dpr)),
-    height: Math.max(1, Math.ceil(bbox.height * bbox.dpr))
+function createAnalysisPool(size) {
+  const idle = [], queue = [], busy = new Map();
+  let seq = 0, closing = false;
+  const dispatch = () => {
+    while (idle.length && queue.length) {
+      const worker = idle.pop(), job = queue.shift();
+      busy.set(worker, job);
+      worker.postMessage({ id: job.id, op: job.op, args: job.args });
+    }
+  };
+  const settle = (worker, fn) => {
+    const job = busy.get(worker);
+    busy.delete(worker);
+    if (job) fn(job);
+  };
+  const spawn = () => {
+    const worker = new Worker(new URL(import.meta.url), { workerData: { role: ANALYSIS_ROLE } });
+    worker.on("message", ({ result, error }) => {
+      settle(worker, job => error ? job.reject(new Error(error)) : job.resolve(result));
+      idle.push(worker);
+      dispatch();
+    });
+    // A crashed worker fails its job and is replaced
+    worker.on("error", err => settle(worker, job => job.reject(err)));
+    worker.on("exit", () => {
+      settle(worker, job => job.reject(new Error("analysis worker exited")));
+      workers.delete(worker);
+      if (idle.includes(worker)) idle.splice(idle.indexOf(worker), 1);
+      if (!closing) { workers.add(spawn()); dispatch(); }
+    });
+    idle.push(worker);
+    return worker;
   };
+  const workers = new Set(Array.from({ length: size }, spawn));
+  return {
+    size,
+    run: (op, args) => new Promise((resolve, reject) => { queue.push({ id: ++seq, op, args, resolve, reject }); dispatch(); }),
+    close: () => { closing = true; return Promise.all([...workers].map(w => w.terminate())); }
+  };
+}
 
-  const timeline = [];
-  let lastChangeAt = Date.now();
-  let lastPng = null;
-  await new Promise(r => setTimeout(r, 50));
+function runAnalysisWorker() {
+  parentPort.on("message", ({ id, op, args }) => {
+    try { parentPort.postMessage({ id, result: ANALYSIS_OPS[op](...args) }); }
+    catch (err) { parentPort.postMessage({ id, error: err.message }); }
+  });
+}
 
-  while (Date.now() - tStart < MAX_CAPTURE_MS) {
-    const png = await page.screenshot({ clip });
-    if (!lastPng || similarity(png, lastPng) < 0.999) { lastChangeAt = Date.now(); lastPng = png; }
-    timeline.push({ t: Date.now() - tStart, png });
+// The same bytes in a SharedArrayBuffer: posted to a worker as a view, not cloned.
+function shareBuffer(buf) {
+  if (buf.buffer instanceof SharedArrayBuffer) return buf;
+  const out = Buffer.from(new SharedArrayBuffer(buf.length));
+  out.set(buf);
+  return out;
+}
 
-    const isImgComplete = await page.evaluate(() => {
-      const img = document.getElementById('tgt');
-      return !!img && img.complete && img.naturalWidth > 0;
-    });
+// Contiguous slices of pngs, one per worker: job(slice, frame before it) → per-slice results in order.
+function inSlices(pool, pngs, job) {
+  const size = Math.ceil(pngs.length / pool.size);
+  const parts = [];
+  for (let i = 0; i < pngs.length; i += size) parts.push(job(pngs.slice(i, i + size), pngs[i - 1] ?? null));
+  return Promise.all(parts);
+}
 
-    if (isImgComplete && Date.now() - lastChangeAt > QUIET_PERIOD_MS) break;
-    await new Promise(r => setTimeout(r, SNAPSHOT_INTERVAL_MS));
+// Frame-to-frame similarity for the capture loop; without a pool it is computed inline.
+const compareFrames = (a, b, { pool = null, scale = 1 } = {}) => pool
+  ? pool.run("diff", [a, b, scale])
+  : Promise.resolve().then(() => similarity(a, b, scale));
+
+// computeVisualProgress with the per-frame work spread over the pool.
+async function analyzeProgress(timeline, { thresholds = DEFAULT_THRESHOLDS, bg = "#ffffff", scale = 1, pool = null } = {}) {
+  if (!pool || timeline.length < 2) return computeVisualProgress(timeline, { thresholds, bg, scale });
+  const pngs = timeline.map(f => f.png);
+  const final = pngs[pngs.length - 1], first = pngs[0];
+  const slices = await inSlices(pool, pngs, (slice, prev) => pool.run("frameStats", [slice, { final, first, prev, bg, scale }]));
+  return progressFromStats(timeline.map(f => f.t), slices.flat(), thresholds);
+}
+
+// computeFidelity with the frames spread over the pool.
+async function analyzeFidelity(timeline, reference, { pool = null } = {}) {
+  if (!pool || !timeline?.length) return computeFidelity(timeline, reference);
+  const ref = scaledReference(reference, timeline[0].png);
+  const slices = await inSlices(pool, timeline.map(f => f.png), slice => pool.run("fidelityStats", [slice, ref]));
+  return fidelityResult(timeline, slices.flat());
+}
+
+// elementProgress with the frames spread over the pool.
+async function analyzeElements(timeline, elements, { thresholds = DEFAULT_THRESHOLDS, bg = "#ffffff", pool = null } = {}) {
+  if (!pool || timeline.length < 2) return elementProgress(timeline, elements, { thresholds, bg });
+  const pngs = timeline.map(f => f.png);
+  const boxes = elements.filter(e => e.box).map(e => e.box);
+  const final = pngs[pngs.length - 1], first = pngs[0];
+  const slices = await inSlices(pool, pngs, (slice, prev) => pool.run("elementStats", [slice, { boxes, final, first, prev, bg }]));
+  return elementsFromStats(timeline.map(f => f.t), elements, boxes.map((_, j) => slices.flatMap(s => s[j])), thresholds);
+}
+
+const scaleOff = ({ diff, off }) => off.map(k => `${k} ${diff[k] ?? "missing"}${diff[k] == null || k === "visIndex" ? "" : " ms"}`).join(", ");
+
+// Downscaled vs. full-resolution metrics of the same frames. diff per metric: absolute difference
+// (ms; visIndex as a fraction), null when only one side has a value.
+function scaleDeviation(scaled, full, scale, tolerance = DEFAULT_COMPARE_TOLERANCE) {
+  const diff = {};
+  for (const [k, v] of Object.entries(full)) {
+    if (k === "samples") continue;
+    const w = scaled[k];
+    diff[k] = v == null || w == null ? (v == w ? 0 : null) : +Math.abs(w - v).toFixed(4);
   }
+  const off = Object.keys(diff).filter(k => diff[k] == null || diff[k] > (k === "visIndex" ? tolerance.visIndex : tolerance.ms));
+  return { scale, tolerance, diff, off, ok: !off.length };
+}
 
-  return computeVisualProgress(timeline);
+/* ------------------------ Byte ↔ Pixel Correlation ------------------------
+   Joins a run's samples with the server trace of its image request: each sample gets
+   the number of bytes that had been written when the frame was captured, and first
+   paint plus every threshold crossing (t85 → bytes85/frac85, …) get bytes + fraction of the file.
+------------------------------------------------------------------------- */
+function findTrace(traces, url, startedAt) {
+  let u;
+  try { u = new URL(url); } catch { return null; }
+  // Copies of one file (page grids) differ only in their query string
+  return traces.find(tr => tr.path === u.pathname && (tr.search == null || tr.search === u.search) && tr.startedAt >= startedAt) ?? null;
 }
 
-function n(v){ return (v==null || Number.isNaN(v)) ? "" : Math.round(Number(v)); }
-function median(arr){ const a = arr.slice().sort((x,y)=>x-y); const m = a.length; return m? (m%2?a[(m-1)/2]:(a[m/2-1]+a[m/2])/2):null; }
-function percentile(arr, p){ if(!arr.length) return null; const a = arr.slice().sort((x,y)=>x-y); const idx = (p/100)*(a.length-1); const lo = Math.floor(idx), hi = Math.ceil(idx); if(lo===hi) return a[lo]; const w = idx-lo; return a[lo]*(1-w)+a[hi]*w; }
+// What the server sent for a run's image request: the <picture>/srcset candidate the engine
+// fetched and, with Accept negotiation, the file chosen for it.
+function fetchedFrom(trace) {
+  if (!trace) return null;
+  return { url: trace.path + (trace.search || ""), file: trace.file ?? null, contentType: trace.contentType ?? null,
+           accept: trace.accept ?? null, negotiate: !!trace.negotiate, negotiated: !!trace.negotiated };
+}
 
-/* ------------------------ Dashboard HTML ------------------------ */
-function buildDashboardHTML({ stamp, configName, aggregated, meta }) {
-  const dataAgg = JSON.stringify(aggregated);
-  const env = JSON.stringify(meta);
-  return `<!doctype html>
-<html>
-<head>
-<meta charset="utf-8" />
-<title>Progressive Image Bench – ${stamp}</title>
-<meta name="viewport" content="width=device-width, initial-scale=1" />
-<script src="https://cdn.plot.ly/plotly-2.32.0.min.js"></script>
-<style>
-  :root { --card-min-h: 340px; }
-  html, body { height: 100%; }
-  body { font: 14px/1.4 -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,system-ui; margin: 16px; }
-  h1 { font-size: 20px; margin: 0 0 8px; }
-  .grid { display: grid; grid-template-columns: 1fr; gap: 16px; }
-  .card { padding: 12px; border: 1px solid #e3e3e3; border-radius: 10px; background: #fff; }
-  .plot { width: 100%; min-height: var(--card-min-h); }
-  .table { border-collapse: collapse; width: 100%; font-size: 13px; }
-  .table th, .table td { border-bottom: 1px solid #eee; padding: 6px 8px; text-align: left; }
-  .small { color:#666; font-size:12px; }
-  .kv { display:flex; flex-wrap:wrap; gap:10px; margin-bottom:10px; }
-  .kv div { background:#f7f7f7; border-radius:8px; padding:6px 8px; }
-  @media (min-width: 1100px) { .grid { grid-template-columns: 1fr 1fr; } }
-</style>
-</head>
-<body>
-<h1>Progressive Image Bench – ${stamp}</h1>
-<div class="small">Config: <code>${configName}</code></div>
+function correlateBytes(res, trace, thresholds = DEFAULT_THRESHOLDS) {
+  const { samples, startedAt } = res;
+  const points = [["FirstPaint", res.tFirstPaint], ...thresholds.map(thresholdKey).map(k => [k.slice(1), res[k]])];
+  if (!trace || !samples?.length) {
+    return { fileBytes: null, ...Object.fromEntries(points.flatMap(([sfx]) => [[`bytes${sfx}`, null], [`frac${sfx}`, null]])) };
+  }
 
-<div class="card" id="meta"></div>
+  const fileBytes = trace.fileBytes ?? trace.totalBytes;
+  const bytesAt = t => {
+    const abs = startedAt + t;
+    let sum = 0;
+    for (const c of trace.chunks) { if (trace.startedAt + c.t <= abs) sum += c.n; else break; }
+    return sum;
+  };
+  const frac = b => (b == null || !fileBytes) ? null : +(b / fileBytes).toFixed(4);
+  const at = t => (t == null ? null : bytesAt(t));
 
-<div class="grid">
-  <div class="card"><div id="bar_t85" class="plot"></div></div>
-  <div class="card"><div id="bar_t95" class="plot"></div></div>
-  <div class="card"><div id="bar_vi"  class="plot"></div></div>
-  <div class="card"><div id="box_t85" class="plot"></div></div>
-  <div class="card"><div id="box_t95" class="plot"></div></div>
-  <div class="card"><div id="box_vi"  class="plot"></div></div>
-  <div class="card">
-    <table class="table" id="summary"></table>
-  </div>
-</div>
+  samples.forEach(s => { s.bytes = bytesAt(s.t); });
+  return {
+    fileBytes,
+    ...Object.fromEntries(points.flatMap(([sfx, t]) => { const b = at(t); return [[`bytes${sfx}`, b], [`frac${sfx}`, frac(b)]]; }))
+  };
+}
 
-<script>
-const aggregated = ${dataAgg};
-const meta = ${env};
-const testOrder = [...new Set(aggregated.map(r => r.id))];
+/* ------------------------ Decode Cost ------------------------
+   Chromium only: a performance trace per run (Playwright browser.startTracing), reduced to
+     decodeCount / decodeMs     image decode events on any thread (nested and overlapping events merged)
+     decodeMainMs               the part of it on the renderer main thread
+     longTasks / longTaskMs     main-thread tasks over LONG_TASK_MS
+     blockingMs                 sum of their excess over LONG_TASK_MS (TBT-style)
+   Opt-in (metrics.trace / --trace): tracing slows the timed Chromium runs, so traced times do not
+   compare with untraced runs or other engines; meta.capture.trace records it.
+   tLoad/tDecoded come from the harness page itself on every engine (see imageState).
+------------------------------------------------------------------------- */
+const TRACE_CATEGORIES = ["devtools.timeline", "disabled-by-default-devtools.timeline", "toplevel", "cc", "blink"];
+const DECODE_EVENTS = new Set(["Decode Image", "Decode LazyPixelRef", "ImageDecodeTask::RunOnWorkerThread", "ImageFrameGenerator::decode"]);
+const TASK_EVENTS = new Set(["RunTask", "ThreadControllerImpl::RunTask"]);
+const LONG_TASK_MS = 50;
 
-function renderMeta() {
-  const m = document.getElementById('meta');
-  const sys = meta.system;
-  const vers = meta.versions;
-  const osLine = sys.os_type + " " + sys.os_release + " (" + sys.os_platform + ", " + sys.os_arch + ")";
-  const hwLine = sys.cpu_model + " ×" + sys.cpu_cores + " • " + sys.memory_gb + " GB RAM";
-  const nodeLine = "Node " + meta.node + (meta.runs ? " • runs=" + meta.runs : "");
-  const browsers = Object.entries(vers).map(([k,v]) => k + ": " + v).join(" • ");
-  m.innerHTML = '<div class="kv">'
-    + '<div><b>OS</b>: ' + osLine + '</div>'
-    + '<div><b>HW</b>: ' + hwLine + '</div>'
-    + '<div><b>Node</b>: ' + nodeLine + '</div>'
-    + '<div><b>Browsers</b>: ' + browsers + '</div>'
-    + '</div>';
+// Sorted, non-overlapping [start, end] intervals (µs)
+function mergeIntervals(list) {
+  const out = [];
+  for (const [s, e] of list.slice().sort((a, b) => a[0] - b[0])) {
+    const last = out[out.length - 1];
+    if (last && s <= last[1]) last[1] = Math.max(last[1], e); else out.push([s, e]);
+  }
+  return out;
 }
 
-/* -------- Grouped BAR charts (exactly three bars per test) -------- */
-function barsFor(metricKey, elId, title, yTitle, isFloat=false) {
-  const browsers = [...new Set(aggregated.map(r => r.browser))];
-  const traces = browsers.map(b => {
-    const rows = aggregated.filter(r => r.browser === b);
-    const y = testOrder.map(id => {
-      const row = rows.find(r => r.id === id);
-      const v = row?.median?.[metricKey];
-      if (v==null || Number.isNaN(Number(v))) return null;
-      return isFloat ? Number(v) : Math.round(Number(v));
-    });
-    return {
-      x: testOrder,
-      y,
-      name: b,
-      type: 'bar',
-      offsetgroup: b,
-      hovertemplate: 'Browser: ' + b + '<br>Test: %{x}<br>' + title + ': %{y}' + (isFloat ? '' : ' ms') + '<extra></extra>'
-    };
-  });
-  const layout = {
-    title,
-    barmode:'group',
-    bargap: 0.15,
-    bargroupgap: 0.08,
-    xaxis:{ title:'Test', categoryarray: testOrder, categoryorder:'array' },
-    yaxis:{ title:yTitle, rangemode:'tozero', tickformat: isFloat ? '.3f' : undefined },
-    margin:{ t:40, r:10, b:60, l:50 }
+// Complete (X) and begin/end (B/E) events with the given names → intervals per "pid:tid"
+function traceIntervals(events, names) {
+  const byThread = new Map(), open = new Map();
+  const add = (key, s, e) => { if (!byThread.has(key)) byThread.set(key, []); byThread.get(key).push([s, e]); };
+  for (const ev of events) {
+    if (!names.has(ev.name)) continue;
+    const key = `${ev.pid}:${ev.tid}`;
+    if (ev.ph === "X" && ev.dur != null) add(key, ev.ts, ev.ts + ev.dur);
+    else if (ev.ph === "B") open.set(`${key}:${ev.name}`, [...(open.get(`${key}:${ev.name}`) || []), ev.ts]);
+    else if (ev.ph === "E") { const st = open.get(`${key}:${ev.name}`)?.pop(); if (st != null) add(key, st, ev.ts); }
+  }
+  return new Map([...byThread].map(([k, v]) => [k, mergeIntervals(v)]));
+}
+
+function traceCost(trace) {
+  const events = Array.isArray(trace) ? trace : (trace?.traceEvents || []);
+  const main = new Set(events.filter(ev => ev.ph === "M" && ev.name === "thread_name" && ev.args?.name === "CrRendererMain").map(ev => `${ev.pid}:${ev.tid}`));
+  const ms = us => +(us / 1000).toFixed(1);
+  const sum = list => list.reduce((a, [s, e]) => a + (e - s), 0);
+  const decode = traceIntervals(events, DECODE_EVENTS);
+  const all = [...decode.values()].flat();
+  const tasks = [...traceIntervals(events, TASK_EVENTS)].filter(([k]) => main.has(k)).flatMap(([, v]) => v)
+    .map(([s, e]) => (e - s) / 1000).filter(d => d > LONG_TASK_MS);
+  return {
+    decodeCount: all.length,
+    decodeMs: ms(sum(all)),
+    decodeMainMs: ms(sum([...decode].filter(([k]) => main.has(k)).flatMap(([, v]) => v))),
+    longTasks: tasks.length,
+    longTaskMs: +tasks.reduce((a, d) => a + d, 0).toFixed(1),
+    blockingMs: +tasks.reduce((a, d) => a + d - LONG_TASK_MS, 0).toFixed(1)
   };
-  Plotly.newPlot(elId, traces, layout, {displaylogo:false, responsive:true, useResizeHandler:true});
 }
 
-/* ---------------- Box-plots for full run distributions ----------------
- * FIX: Explicitly create a separate box trace PER (browser, testId) pair.
- *      This guarantees three side-by-side boxes for each category (no overlap).
- */
-  
+/* ------------------------ Reference Fidelity ------------------------
+   Completeness only compares a run with its own final frame, so wrong colors or a
+   never-refined image can still reach 100%. With a reference (the PNG the variants
+   were encoded from), every frame is also compared with the reference scaled to the
+   frame size: SSIM (luma, 8×8 windows), PSNR (RGB) and mean CIEDE2000 ΔE (subsampled).
+------------------------------------------------------------------------- */
+function parseHexColor(c) {
+  const m = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(c || "").trim());
+  if (!m) return [255, 255, 255];
+  const h = m[1].length === 3 ? m[1].replace(/./g, ch => ch + ch) : m[1];
+  return [0, 2, 4].map(i => parseInt(h.slice(i, i + 2), 16));
+}
+
+// Decoded reference, alpha-composited over the page background (as the browser paints it).
+async function loadReference(file, bg = "#ffffff") {
+  if (path.extname(file).toLowerCase() !== ".png") throw new Error(`reference must be a PNG: ${file}`);
+  const img = PNG.sync.read(await fs.readFile(file));
+  const [br, bgc, bb] = parseHexColor(bg);
+  const d = img.data;
+  for (let i = 0; i < d.length; i += 4) {
+    const a = d[i + 3] / 255;
+    d[i] = Math.round(d[i] * a + br * (1 - a));
+    d[i + 1] = Math.round(d[i + 1] * a + bgc * (1 - a));
+    d[i + 2] = Math.round(d[i + 2] * a + bb * (1 - a));
+    d[i + 3] = 255;
+  }
+  return { file, width: img.width, height: img.height, data: d, scaled: new Map() };
+}
+
+// Area-average resample (box filter); good enough for the usual downscale to the clip size.
+function resizeRGBA(src, w, h) {
+  const out = Buffer.alloc(w * h * 4);
+  const sx = src.width / w, sy = src.height / h;
+  for (let y = 0; y < h; y++) {
+    const y0 = Math.floor(y * sy), y1 = Math.max(y0 + 1, Math.min(src.height, Math.floor((y + 1) * sy)));
+    for (let x = 0; x < w; x++) {
+      const x0 = Math.floor(x * sx), x1 = Math.max(x0 + 1, Math.min(src.width, Math.floor((x + 1) * sx)));
+      let r = 0, g = 0, b = 0, n = 0;
+      for (let yy = y0; yy < y1; yy++) {
+        for (let xx = x0; xx < x1; xx++) {
+          const i = (yy * src.width + xx) * 4;
+          r += src.data[i]; g += src.data[i + 1]; b += src.data[i + 2]; n++;
+        }
+      }
+      const o = (y * w + x) * 4;
+      out[o] = r / n; out[o + 1] = g / n; out[o + 2] = b / n; out[o + 3] = 255;
+    }
+  }
+  return out;
+}
+
+// Kept in shared memory: the same scaled reference goes to every analysis worker (see Analysis Pool).
+function referenceAt(reference, w, h) {
+  const key = `${w}x${h}`;
+  if (!reference.scaled.has(key)) reference.scaled.set(key, shareBuffer(resizeRGBA(reference, w, h)));
+  return reference.scaled.get(key);
+}
+
+// The reference scaled to a run's frame size, read from the PNG header (all frames share the clip).
+const scaledReference = (reference, png) => {
+  const width = png.readUInt32BE(16), height = png.readUInt32BE(20);
+  return { width, height, data: referenceAt(reference, width, height) };
+};
+
+function ssimLuma(a, b, w, h, win = 8) {
+  const C1 = (0.01 * 255) ** 2, C2 = (0.03 * 255) ** 2;
+  const luma = (d, i) => 0.299 * d[i] + 0.587 * d[i + 1] + 0.114 * d[i + 2];
+  let sum = 0, count = 0;
+  for (let y0 = 0; y0 + win <= Math.max(h, win); y0 += win) {
+    for (let x0 = 0; x0 + win <= Math.max(w, win); x0 += win) {
+      let ma = 0, mb = 0, va = 0, vb = 0, cov = 0, n = 0;
+      for (let y = y0; y < Math.min(h, y0 + win); y++) {
+        for (let x = x0; x < Math.min(w, x0 + win); x++) {
+          const i = (y * w + x) * 4;
+          const la = luma(a, i), lb = luma(b, i);
+          ma += la; mb += lb; va += la * la; vb += lb * lb; cov += la * lb; n++;
+        }
+      }
+      ma /= n; mb /= n;
+      va = va / n - ma * ma; vb = vb / n - mb * mb; cov = cov / n - ma * mb;
+      sum += ((2 * ma * mb + C1) * (2 * cov + C2)) / ((ma * ma + mb * mb + C1) * (va + vb + C2));
+      count++;
+    }
+  }
+  return count ? sum / count : 1;
+}
+
+function psnrRGB(a, b) {
+  let se = 0, n = 0;
+  for (let i = 0; i < a.length; i += 4) {
+    for (let c = 0; c < 3; c++) { const d = a[i + c] - b[i + c]; se += d * d; }
+    n += 3;
+  }
+  const mse = se / n;
+  return mse === 0 ? 100 : Math.min(100, 10 * Math.log10((255 * 255) / mse));
+}
+
+function rgbToLab(r, g, b) {
+  const lin = v => { v /= 255; return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4; };
+  const R = lin(r), G = lin(g), B = lin(b);
+  const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const fx = f((0.4124564 * R + 0.3575761 * G + 0.1804375 * B) / 0.95047);
+  const fy = f(0.2126729 * R + 0.7151522 * G + 0.0721750 * B);
+  const fz = f((0.0193339 * R + 0.1191920 * G + 0.9503041 * B) / 1.08883);
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+// CIEDE2000 (Sharma, Wu, Dalal 2005), kL = kC = kH = 1
+function ciede2000([L1, a1, b1], [L2, a2, b2]) {
+  const rad = Math.PI / 180;
+  const C1 = Math.hypot(a1, b1), C2 = Math.hypot(a2, b2);
+  const Cm = (C1 + C2) / 2;
+  const G = 0.5 * (1 - Math.sqrt(Cm ** 7 / (Cm ** 7 + 25 ** 7)));
+  const a1p = (1 + G) * a1, a2p = (1 + G) * a2;
+  const C1p = Math.hypot(a1p, b1), C2p = Math.hypot(a2p, b2);
+  const hp = (b, a) => { if (b === 0 && a === 0) return 0; const h = Math.atan2(b, a) / rad; return h < 0 ? h + 360 : h; };
+  const h1p = hp(b1, a1p), h2p = hp(b2, a2p);
+
+  const dLp = L2 - L1, dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360; else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+
+  const Lpm = (L1 + L2) / 2, Cpm = (C1p + C2p) / 2;
+  let hpm = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) hpm /= 2;
+    else hpm = h1p + h2p < 360 ? (hpm + 360) / 2 : (hpm - 360) / 2;
+  }
+  const T = 1 - 0.17 * Math.cos((hpm - 30) * rad) + 0.24 * Math.cos(2 * hpm * rad)
+              + 0.32 * Math.cos((3 * hpm + 6) * rad) - 0.20 * Math.cos((4 * hpm - 63) * rad);
+  const dTheta = 30 * Math.exp(-(((hpm - 275) / 25) ** 2));
+  const RC = 2 * Math.sqrt(Cpm ** 7 / (Cpm ** 7 + 25 ** 7));
+  const SL = 1 + (0.015 * (Lpm - 50) ** 2) / Math.sqrt(20 + (Lpm - 50) ** 2);
+  const SC = 1 + 0.045 * Cpm, SH = 1 + 0.015 * Cpm * T;
+  const RT = -Math.sin(2 * dTheta * rad) * RC;
+  return Math.sqrt((dLp / SL) ** 2 + (dCp / SC) ** 2 + (dHp / SH) ** 2 + RT * (dCp / SC) * (dHp / SH));
+}
+
+function meanDeltaE(a, b, w, h, maxSamples = 20000) {
+  const step = Math.max(1, Math.ceil(Math.sqrt((w * h) / maxSamples)));
+  let sum = 0, n = 0;
+  for (let y = 0; y < h; y += step) {
+    for (let x = 0; x < w; x += step) {
+      const i = (y * w + x) * 4;
+      sum += ciede2000(rgbToLab(a[i], a[i + 1], a[i + 2]), rgbToLab(b[i], b[i + 1], b[i + 2]));
+      n++;
+    }
+  }
+  return n ? sum / n : 0;
+}
+
+// Scores per frame against ref ({ width, height, data }: scaledReference); inline or in the analysis pool.
+function fidelityStats(pngs, ref) {
+  return pngs.map(png => {
+    const img = decodePng(png);
+    if (img.width !== ref.width || img.height !== ref.height) throw new Error("Dimension mismatch");
+    return {
+      ssim: +ssimLuma(img.data, ref.data, img.width, img.height).toFixed(4),
+      psnr: +psnrRGB(img.data, ref.data).toFixed(2),
+      deltaE: +meanDeltaE(img.data, ref.data, img.width, img.height).toFixed(2)
+    };
+  });
+}
+
+// Final-frame scores + the fidelity-over-time curve (same t as `samples`).
+function computeFidelity(timeline, reference) {
+  if (!timeline?.length) return { ssim: null, psnr: null, deltaE: null, fidelitySamples: [] };
+  return fidelityResult(timeline, fidelityStats(timeline.map(f => f.png), scaledReference(reference, timeline[0].png)));
+}
+
+function fidelityResult(timeline, scores) {
+  const fidelitySamples = timeline.map(({ t }, i) => ({ t, ...scores[i] }));
+  const last = fidelitySamples[fidelitySamples.length - 1];
+  return { ssim: last.ssim, psnr: last.psnr, deltaE: last.deltaE, fidelitySamples };
+}
+
+/* ------------------------ Page Harness ------------------------ */
+// Browser-reported paint timing, for whichever entry types the engine supports (epoch ms in window.__bench):
+// lcp (largest-contentful-paint), elements[identifier] (element timing, <img elementtiming>),
+// resources (image resource timing). See paintTiming.
+const PAINT_TIMING_SCRIPT = `<script>
+(() => {
+  const b = window.__bench = window.__bench || {};
+  b.elements = {}; b.resources = [];
+  const epoch = t => t ? performance.timeOrigin + t : null;
+  const observe = (type, fn) => {
+    if (!(window.PerformanceObserver && (PerformanceObserver.supportedEntryTypes || []).includes(type))) return;
+    new PerformanceObserver(list => list.getEntries().forEach(fn)).observe({ type, buffered: true });
+  };
+  observe('largest-contentful-paint', e => {
+    b.lcp = { at: epoch(e.renderTime || e.loadTime || e.startTime), size: e.size, url: e.url || null,
+              element: e.element ? (e.element.getAttribute('elementtiming') || e.element.tagName.toLowerCase()) : null };
+  });
+  observe('element', e => { b.elements[e.identifier] = epoch(e.renderTime || e.loadTime); });
+  observe('resource', e => {
+    if (e.initiatorType === 'img' || /^image\\//.test(e.contentType || '')) b.resources.push({ url: e.name, responseStart: epoch(e.responseStart), responseEnd: epoch(e.responseEnd) });
+  });
+})();
+</script>`;
+
+const attrs = o => Object.entries(o).filter(([, v]) => v != null && v !== "").map(([k, v]) => ` ${k}="${String(v).replace(/"/g, "&quot;")}"`).join("");
+
+// picture: { sources: [{ type, media, srcset, sizes }], srcset, sizes } → <picture> around the target <img>
+const HARNESS_HTML = ({ url, bg = "#ffffff", fit = "contain", picture = null }) => `<!doctype html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1" />
+<style>
+  html, body { height: 100%; margin: 0; background: ${bg}; }
+  .wrap { display:flex; align-items:center; justify-content:center; height:100%; }
+  img { max-width:95vw; max-height:95vh; object-fit:${fit}; image-rendering:auto; }
+  .tip { position:fixed; top:8px; left:12px; font:14px/1.4 system-ui; color:#444; background:rgba(255,255,255,.8); padding:6px 10px; border-radius:8px; }
+</style></head>
+<body>
+<div class="wrap">${picture
+  ? `<picture>${picture.sources.map(({ type, media, srcset, sizes }) => `<source${attrs({ type, media, srcset, sizes })} />`).join("")}` +
+    `<img id="tgt"${attrs({ src: url, srcset: picture.srcset, sizes: picture.sizes })} elementtiming="bench" decoding="auto" loading="eager" /></picture>`
+  : `<img id="tgt" src="${url}" elementtiming="bench" decoding="auto" loading="eager" />`}</div>
+<div class="tip">Loading: ${picture ? "&lt;picture&gt;" : url}</div>
+${PAINT_TIMING_SCRIPT}
+<script>
+(() => {
+  // Decode timing the page itself can observe (every engine): load event, then img.decode() resolve
+  const img = document.getElementById('tgt');
+  const b = window.__bench = window.__bench || {};
+  const loaded = () => {
+    b.loadAt = Date.now();
+    img.decode().then(() => { b.decodedAt = Date.now(); }, () => { b.decodeFailed = true; });
+  };
+  if (img.complete && img.naturalWidth) loaded(); else img.addEventListener('load', loaded, { once: true });
+})();
+</script>
+</body></html>`;
+
+/* ------------------------ Page Scenarios ------------------------
+   tests[].type "page" loads several images at once instead of the single centered <img>:
+     grid:     { url, count = 9, columns = 3 } — N copies of one image, each its own request
+               (?__copy=i) so the copies compete for bandwidth like distinct assets
+     images:   [{ url, layout: "hero" | "tile" | "thumb", name }] with columns (default 4) —
+               hero spans the row, thumb is half a tile
+     template: HTML file under --root; its <img data-bench="name"> elements (or every <img>
+               when none is marked) are measured. Relative URLs resolve against the file.
+   Progress is measured over the layout (union of the image boxes) and per image element.
+   tests[].type "picture" keeps the single-image harness but wraps the target in <picture> with
+   the test's sources[] ({ type, media, srcset, sizes }) and url/srcset/sizes on the <img>; the
+   run records which candidate the engine fetched (see fetchedFrom).
+------------------------------------------------------------------------- */
+const COPY_PARAM = "__copy";
+const PAGE_LAYOUTS = ["hero", "tile", "thumb"];
+
+function withQuery(url, params) {
+  const q = new URLSearchParams(params).toString();
+  return q ? `${url}${url.includes("?") ? "&" : "?"}${q}` : url;
+}
+
+// Local paths are served under --root with the server params (profile, negotiation); absolute URLs pass through.
+const assetURL = (u, baseURL, query = {}) => /^https?:\/\//i.test(u) ? u : withQuery(`${baseURL}/${u.replace(/^\//, "")}`, query);
+
+// "a.avif 1x, b.avif 2x" → the same candidates with served URLs
+const srcsetURLs = (srcset, baseURL, query) => srcset == null ? null : String(srcset).split(",").map(c => c.trim()).filter(Boolean)
+  .map(c => { const [u, ...descriptors] = c.split(/\s+/); return [assetURL(u, baseURL, query), ...descriptors].join(" "); }).join(", ");
+
+const PAGE_HTML = ({ images, columns, bg = "#ffffff", fit = "contain" }) => `<!doctype html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1" />
+<style>
+  html, body { margin: 0; background: ${bg}; }
+  .page { display:grid; grid-template-columns: repeat(${columns * 2}, 1fr); gap:8px; padding:8px; }
+  .page img { display:block; width:100%; aspect-ratio: 4 / 3; object-fit:${fit}; grid-column: span 2; }
+  .page img.hero { grid-column: 1 / -1; aspect-ratio: auto; height: 45vh; }
+  .page img.thumb { grid-column: span 1; }
+</style></head>
+<body>
+<div class="page">
+${images.map(im => `  <img class="${im.layout}" data-bench="${im.name}" elementtiming="${im.name}" src="${im.url}" decoding="auto" loading="eager" />`).join("\n")}
+</div>
+${PAINT_TIMING_SCRIPT}
+</body></html>`;
+
+// Scene for a type:"page" test: { html, selector, multi }. query: server params for every local
+// image request (the network profile), so page images are shaped like single-image tests.
+async function pageScene(tc, { baseURL, query = {}, opts = {}, root = process.cwd() }) {
+  const abs = u => assetURL(u, baseURL, query);
+  if (tc.template) {
+    const file = path.resolve(root, tc.template);
+    const dir = path.relative(root, path.dirname(file)).split(path.sep).join("/");
+    let html = await fs.readFile(file, "utf8");
+    if (Object.keys(query).length) {
+      html = html.replace(/(<img\b[^>]*?\bsrc=["'])(?!https?:|data:|\/\/)([^"']+)/gi, (_, pre, src) => pre + withQuery(src, query));
+    }
+    const base = `<base href="${baseURL}/${dir ? dir + "/" : ""}">`;
+    html = /<head[^>]*>/i.test(html) ? html.replace(/<head[^>]*>/i, m => m + base + PAINT_TIMING_SCRIPT) : base + PAINT_TIMING_SCRIPT + html;
+    return { html, selector: /\bdata-bench\b/.test(html) ? "img[data-bench]" : "img", multi: true };
+  }
+  let images;
+  if (tc.grid?.url) {
+    images = Array.from({ length: tc.grid.count ?? 9 }, (_, i) =>
+      ({ url: withQuery(abs(tc.grid.url), { [COPY_PARAM]: i + 1 }), layout: "tile", name: `copy${i + 1}` }));
+  } else if (Array.isArray(tc.images) && tc.images.length) {
+    images = tc.images.map((im, i) => {
+      const layout = im.layout ?? "tile";
+      if (!PAGE_LAYOUTS.includes(layout)) throw new Error(`test ${tc.id}: images[${i}].layout must be one of ${PAGE_LAYOUTS.join("|")}`);
+      return { url: abs(im.url), layout, name: im.name ?? `img${i + 1}` };
+    });
+  } else {
+    throw new Error(`test ${tc.id}: type "page" needs grid.url, images[] or template`);
+  }
+  const columns = tc.columns ?? tc.grid?.columns ?? (tc.grid ? 3 : 4);
+  return { html: PAGE_HTML({ images, columns, ...opts }), selector: "img[data-bench]", multi: true };
+}
+
+// Scene for a type:"picture" test: the single-image harness with a <picture> target.
+function pictureScene(tc, { baseURL, query = {}, opts = {} }) {
+  const sources = tc.sources ?? [];
+  if (!Array.isArray(sources) || sources.some(s => !s?.srcset)) throw new Error(`test ${tc.id}: type "picture" needs sources[] entries with a srcset`);
+  if (!tc.url && !tc.srcset) throw new Error(`test ${tc.id}: type "picture" needs url (the <img> fallback) or srcset`);
+  const picture = {
+    sources: sources.map(({ type, media, srcset, sizes }) => ({ type, media, sizes, srcset: srcsetURLs(srcset, baseURL, query) })),
+    srcset: srcsetURLs(tc.srcset, baseURL, query),
+    sizes: tc.sizes
+  };
+  // src: the <img> fallback URL, the request to follow when the engine reports no currentSrc
+  const src = tc.url ? assetURL(tc.url, baseURL, query) : null;
+  return { html: HARNESS_HTML({ url: src, ...opts, picture }), selector: "#tgt", multi: false, src };
+}
+
+// Device-pixel boxes of the scene's images, clipped to the viewport and relative to their union
+// (the capture clip). Images entirely outside the viewport get box: null.
+async function sceneLayout(page, selector) {
+  const { boxes, dpr, vw, vh } = await page.evaluate(sel => ({
+    boxes: [...document.querySelectorAll(sel)].map((el, i) => {
+      const r = el.getBoundingClientRect();
+      return { name: el.dataset.bench || `img${i + 1}`, url: el.currentSrc || el.src, x: r.x, y: r.y, width: r.width, height: r.height,
+               natural: { width: el.naturalWidth, height: el.naturalHeight } };
+    }),
+    dpr: window.devicePixelRatio || 1, vw: window.innerWidth, vh: window.innerHeight
+  }), selector);
+  const elements = boxes.map(b => {
+    const x0 = Math.max(0, Math.floor(b.x * dpr)), y0 = Math.max(0, Math.floor(b.y * dpr));
+    const x1 = Math.min(vw * dpr, Math.ceil((b.x + b.width) * dpr)), y1 = Math.min(vh * dpr, Math.ceil((b.y + b.height) * dpr));
+    return { name: b.name, url: b.url, natural: b.natural, box: x1 > x0 && y1 > y0 ? { x: x0, y: y0, width: x1 - x0, height: y1 - y0 } : null };
+  });
+  const visible = elements.filter(e => e.box);
+  if (!visible.length) throw new Error("no page image is inside the viewport");
+  const x = Math.min(...visible.map(e => e.box.x)), y = Math.min(...visible.map(e => e.box.y));
+  const clip = { x, y, width: Math.max(...visible.map(e => e.box.x + e.box.width)) - x, height: Math.max(...visible.map(e => e.box.y + e.box.height)) - y };
+  visible.forEach(e => { e.box = { ...e.box, x: e.box.x - x, y: e.box.y - y }; });
+  return { clip, elements };
+}
+
+// Per-element progress: every layout frame is decoded once and each image box cut out of it.
+function elementProgress(timeline, elements, { thresholds = DEFAULT_THRESHOLDS, bg = "#ffffff" } = {}) {
+  const pngs = timeline.map(f => f.png);
+  const boxes = elements.filter(e => e.box).map(e => e.box);
+  const stats = timeline.length < 2 ? boxes.map(() => [])
+    : elementStats(pngs, { boxes, final: pngs[pngs.length - 1], first: pngs[0], bg });
+  return elementsFromStats(timeline.map(f => f.t), elements, stats, thresholds);
+}
+
+// frameStats per image box (raw crops, no PNG round trip): one stats list per box, in box order.
+function elementStats(pngs, { boxes, final, first, prev = null, bg = "#ffffff" }) {
+  const crops = buf => { const img = decodePng(buf); return boxes.map(box => cropRaw(img, box)); };
+  const finals = crops(final), firsts = crops(first), bgRGB = parseHexColor(bg);
+  let prevs = prev ? crops(prev) : null;
+  const out = boxes.map(() => []);
+  for (const png of pngs) {
+    const cur = crops(png);
+    cur.forEach((img, j) => out[j].push(imageStats(img, { finalImg: finals[j], firstImg: firsts[j], prevImg: prevs?.[j], bgRGB })));
+    prevs = cur;
+  }
+  return out;
+}
+
+// box of img as a new RGBA image; the part outside img stays transparent black.
+function cropRaw(img, { x, y, width, height }) {
+  const data = new Uint8Array(width * height * 4);
+  const w = Math.max(0, Math.min(width, img.width - x)), h = Math.max(0, Math.min(height, img.height - y));
+  for (let row = 0; row < h; row++) {
+    const from = ((y + row) * img.width + x) * 4;
+    data.set(img.data.subarray(from, from + w * 4), row * width * 4);
+  }
+  return { width, height, data };
+}
+
+// stats: elementStats of the whole timeline, one list per element with a box.
+function elementsFromStats(ts, elements, stats, thresholds) {
+  let j = 0;
+  return elements.map(({ box, ...info }) => box
+    ? { ...info, box, ...progressFromStats(ts, stats[j++], thresholds) }
+    : { ...info, box, offscreen: true });
+}
+
+// Layout byte metrics use all image requests of the page as one stream (fileBytes = page total).
+function mergeTraces(list) {
+  const found = list.filter(Boolean);
+  if (!found.length) return null;
+  const startedAt = Math.min(...found.map(tr => tr.startedAt));
+  const chunks = found.flatMap(tr => tr.chunks.map(c => ({ t: tr.startedAt + c.t - startedAt, n: c.n }))).sort((a, b) => a.t - b.t);
+  return { startedAt, chunks, fileBytes: found.reduce((s, tr) => s + (tr.fileBytes ?? tr.totalBytes), 0) };
+}
+
+function correlatePage(res, traces, thresholds) {
+  const found = (res.elements || []).map(el => {
+    const trace = findTrace(traces, el.url, res.startedAt);
+    if (el.samples) Object.assign(el, correlateBytes({ ...el, startedAt: res.startedAt }, trace, thresholds));
+    return trace;
+  });
+  return correlateBytes(res, mergeTraces(found), thresholds);
+}
+
+/* ------------------------ Bench Runner ------------------------ */
+// Clip to the <img> region so we measure only image progress
+async function imageClip(page) {
+  const bbox = await page.evaluate(() => {
+    const el = document.getElementById('tgt');
+    const r = el.getBoundingClientRect();
+    return { x: Math.max(0, r.x), y: Math.max(0, r.y), width: r.width, height: r.height, dpr: window.devicePixelRatio || 1 };
+  });
+  return {
+    x: Math.floor(bbox.x * bbox.dpr),
+    y: Math.floor(bbox.y * bbox.dpr),
+    width: Math.max(1, Math.ceil(bbox.width * bbox.dpr)),
+    height: Math.max(1, Math.ceil(bbox.height * bbox.dpr))
+  };
+}
+
+const imgComplete = (page, selector = "#tgt") => page.evaluate(sel => {
+  const imgs = [...document.querySelectorAll(sel)];
+  return imgs.length > 0 && imgs.every(img => img.complete && img.naturalWidth > 0);
+}, selector);
+
+// Hosted scenes (scene.url, see hostScene) are navigated to: a fresh document per run, so paint
+// timing starts from scratch. Plain scenes are written into the current page.
+const loadScene = (page, scene) => scene.url
+  ? page.goto(scene.url, { waitUntil: "domcontentloaded", timeout: 30000 })
+  : page.setContent(scene.html, { waitUntil: "domcontentloaded", timeout: 30000 });
+// How the bench loads scenes, as meta.capture.load: navigated times include fetching the harness
+// page. Older result directories have no such field; they wrote scenes with setContent.
+const SCENE_LOAD = "navigate";
+const sceneLoadOf = meta => meta?.capture?.load ?? "setContent";
+
+// target: image URL (single-image harness) or a scene ({ html, selector, multi, url? }, see pageScene).
+// capture.backend: "screenshot" (default) | "screencast" | "video" — see Capture Backends below.
+// analysis: { thresholds, bg } for computeVisualProgress; pool, scale, scaleCheck (tolerance) → see Analysis Pool;
+// reference (loadReference) → adds fidelity metrics; filmstrip: { dir, rel } → keeps the visually distinct frames (see Filmstrip).
+async function runOne(page, target, opts, capture = { backend: "screenshot" }, analysis = {}) {
+  const scene = typeof target === "string" ? { html: HARNESS_HTML({ url: target, ...opts }), selector: "#tgt", multi: false } : target;
+  if (capture.backend === "screencast") return captureScreencast(page, scene, analysis);
+  if (capture.backend === "video") return captureVideo(page, scene, capture, analysis);
+
+  const tStart = Date.now();
+  await loadScene(page, scene);
+
+  // A page layout is only final after load: capture the viewport and crop afterwards
+  const clip = scene.multi ? null : await imageClip(page);
+
+  const timeline = [];
+  let lastChangeAt = Date.now();
+  let prevPng = null;
+  const comparisons = [];
+  await new Promise(r => setTimeout(r, 50));
+
+  while (Date.now() - tStart < MAX_CAPTURE_MS) {
+    analysis.signal?.throwIfAborted();
+    const png = await page.screenshot(clip ? { clip } : {});
+    const shotAt = Date.now();
+    timeline.push({ t: shotAt - tStart, png });
+    // Compared with its predecessor in the background (see Analysis Pool); a failed comparison counts as a change
+    if (prevPng) {
+      comparisons.push(compareFrames(png, prevPng, analysis)
+        .then(sim => sim < 0.999, () => true)
+        .then(changed => { if (changed) lastChangeAt = Math.max(lastChangeAt, shotAt); }));
+    }
+    prevPng = png;
+
+    const isImgComplete = await imgComplete(page, scene.selector);
+
+    // Looks quiet: wait for the outstanding comparisons, a late one may still report a change
+    if (isImgComplete && Date.now() - lastChangeAt > QUIET_PERIOD_MS) {
+      await Promise.all(comparisons);
+      if (Date.now() - lastChangeAt > QUIET_PERIOD_MS) break;
+    }
+    await new Promise(r => setTimeout(r, SNAPSHOT_INTERVAL_MS));
+  }
+
+  if (scene.multi) {
+    const { clip: box, elements } = await sceneLayout(page, scene.selector);
+    return finishRun(timeline.map(f => ({ t: f.t, png: cropPng(f.png, box) })), tStart, "screenshot", analysis, await sceneState(page, tStart, { elements }));
+  }
+  return finishRun(timeline, tStart, "screenshot", analysis, await sceneState(page, tStart, null));
+}
+
+// extra: page facts gathered by the backend (natural: { width, height } of the decoded image,
+// currentSrc: the candidate the engine picked, paint timing; elements: sceneLayout boxes of a page
+// scene → per-element progress, with elementTimes[name] as tElement).
+// signal: aborted when the run timed out (see withTimeout); checked before analysis and frame writes.
+async function finishRun(timeline, tStart, backend, { reference, thresholds, bg, filmstrip, pool, scale = 1, scaleCheck = null, signal = null } = {}, { elements, elementTimes = {}, ...extra } = {}) {
+  signal?.throwIfAborted();
+  const span = timeline.length > 1 ? timeline[timeline.length - 1].t - timeline[0].t : 0;
+  const fps = span > 0 ? +((timeline.length - 1) * 1000 / span).toFixed(1) : null;
+  if (pool) timeline = timeline.map(f => ({ ...f, png: shareBuffer(f.png) }));
+  const progress = await analyzeProgress(timeline, { thresholds, bg, scale, pool });
+  signal?.throwIfAborted();
+  return {
+    ...progress,
+    ...(scaleCheck && scale < 1 ? { scaleCheck: scaleDeviation(progress, await analyzeProgress(timeline, { thresholds, bg, pool }), scale, scaleCheck) } : {}),
+    ...(reference ? await analyzeFidelity(timeline, reference, { pool }) : {}),
+    ...(elements ? { elements: await analyzeElements(timeline, elements.map(e => ({ ...e, tElement: elementTimes[e.name] ?? null })), { thresholds, bg, pool }) } : {}),
+    ...(filmstrip ? { filmstrip: await writeFilmstrip(timeline, { ...filmstrip, signal }) } : {}),
+    ...extra,
+    startedAt: tStart,
+    capture: { backend, frames: timeline.length, fps }
+  };
+}
+
+/* ------------------------ Filmstrip ------------------------
+   Optional (capture.filmstrip / --filmstrip): the frames of each timed run, deduplicated to
+   the visually distinct ones, are written to frames/<browser>-<id>-runN/<index>-<t>ms.png.
+   A frame is kept when it differs from the last kept frame (same 0.999 cut-off as the
+   screenshot loop); the first frame is always kept, so the strip starts at the empty box.
+------------------------------------------------------------------------- */
+function distinctFrames(timeline) {
+  const kept = [];
+  for (const f of timeline) {
+    if (!kept.length || similarity(f.png, kept[kept.length - 1].png) < 0.999) kept.push(f);
+  }
+  return kept;
+}
+
+// dir: absolute output directory; rel: the same directory relative to the dashboard. An aborted
+// (timed-out) attempt stops writing, so it cannot mix frames into the retry's directory.
+async function writeFilmstrip(timeline, { dir, rel, signal = null }) {
+  signal?.throwIfAborted();
+  await fs.emptyDir(dir);
+  const frames = [];
+  for (const [i, f] of distinctFrames(timeline).entries()) {
+    signal?.throwIfAborted();
+    const file = `${String(i).padStart(3, "0")}-${f.t}ms.png`;
+    await fs.writeFile(path.join(dir, file), f.png);
+    frames.push({ t: f.t, file: `${rel}/${file}` });
+  }
+  return { dir: rel, frames };
+}
+
+/* ------------------------ Capture Backends ------------------------
+   screenshot: page.screenshot({ clip }) every SNAPSHOT_INTERVAL_MS, compared in the background (original method).
+   screencast: CDP Page.startScreencast (Chromium only). The compositor pushes a frame per visual
+               change, stamped with its swap time, so short progressive stages are not missed.
+   video:      Playwright recordVideo + ffmpeg frame extraction, for engines without CDP (~25 fps).
+               Frame times are offset by page-open → request start, so they are approximate.
+   Screencast/video frames cover the viewport and are cropped to the image box measured after
+   the image has loaded. Frame times are relative to request start, like the screenshot backend.
+------------------------------------------------------------------------- */
+const CAPTURE_BACKENDS = ["screenshot", "screencast", "video"];
+
+// "screencast" means "best available": CDP on Chromium, video elsewhere; video needs ffmpeg on PATH.
+function resolveCaptureBackend(requested, engine, hasFfmpeg) {
+  let backend = requested === "screencast" && engine !== "chromium" ? "video" : requested;
+  if (backend === "video" && !hasFfmpeg) backend = "screenshot";
+  return backend;
+}
+
+function cropPng(buf, { x, y, width, height }) {
+  const src = PNG.sync.read(buf);
+  const w = Math.max(1, Math.min(width, src.width - x));
+  const h = Math.max(1, Math.min(height, src.height - y));
+  const out = new PNG({ width: w, height: h });
+  PNG.bitblt(src, out, x, y, w, h, 0, 0);
+  return PNG.sync.write(out);
+}
+
+async function captureScreencast(page, scene, analysis) {
+  const cdp = await page.context().newCDPSession(page);
+  const frames = [];
+  let lastFrameAt = Date.now();
+  cdp.on("Page.screencastFrame", ({ data, metadata, sessionId }) => {
+    cdp.send("Page.screencastFrameAck", { sessionId }).catch(() => {});
+    lastFrameAt = Date.now();
+    frames.push({ at: metadata?.timestamp ? metadata.timestamp * 1000 : lastFrameAt, png: Buffer.from(data, "base64") });
+  });
+  await cdp.send("Page.startScreencast", { format: "png", maxWidth: DEFAULT_VIEWPORT.width, maxHeight: DEFAULT_VIEWPORT.height, everyNthFrame: 1 });
+
+  const tStart = Date.now();
+  try {
+    await loadScene(page, scene);
+    while (Date.now() - tStart < MAX_CAPTURE_MS) {
+      analysis.signal?.throwIfAborted();
+      if (await imgComplete(page, scene.selector) && Date.now() - lastFrameAt > QUIET_PERIOD_MS) break;
+      await sleep(SNAPSHOT_INTERVAL_MS);
+    }
+  } finally {
+    await cdp.send("Page.stopScreencast").catch(() => {});
+    await cdp.detach().catch(() => {});
+  }
+
+  const layout = scene.multi ? await sceneLayout(page, scene.selector) : null;
+  const clip = layout?.clip ?? await imageClip(page);
+  // Frames stamped before request start still show the previous page
+  const timeline = frames.filter(f => f.at >= tStart).map(f => ({ t: Math.round(f.at - tStart), png: cropPng(f.png, clip) }));
+  if (!timeline.length) timeline.push({ t: Date.now() - tStart, png: await page.screenshot({ clip }) });
+  return finishRun(timeline, tStart, "screencast", analysis, await sceneState(page, tStart, layout));
+}
+
+async function extractVideoFrames(file, { x, y, width, height }) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "pib-frames-"));
+  try {
+    const w = Math.min(width, DEFAULT_VIEWPORT.width - x), h = Math.min(height, DEFAULT_VIEWPORT.height - y);
+    const { stderr } = await execFileP("ffmpeg", [
+      "-hide_banner", "-i", file, "-vf", `crop=${w}:${h}:${x}:${y},showinfo`, "-vsync", "passthrough", path.join(dir, "%06d.png")
+    ], { maxBuffer: 64 * 1024 * 1024 });
+    const pts = [...stderr.matchAll(/pts_time:\s*([\d.]+)/g)].map(m => Number(m[1]) * 1000);
+    const files = (await fs.readdir(dir)).filter(f => f.endsWith(".png")).sort();
+    return Promise.all(files.map(async (f, i) => ({ pts: pts[i] ?? i * 40, png: await fs.readFile(path.join(dir, f)) })));
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+// Closes the page: Playwright only finalizes the video once its page is closed. The page, Playwright's
+// recording and the temporary copy are cleaned up on every path, failures included.
+async function captureVideo(page, scene, { openedAt, keepVideoAs = null }, analysis) {
+  const tStart = Date.now();
+  const video = page.video();
+  const file = keepVideoAs ?? path.join(os.tmpdir(), `pib-${process.pid}-${tStart}.webm`);
+  try {
+    await loadScene(page, scene);
+    await waitFor(() => imgComplete(page, scene.selector), MAX_CAPTURE_MS - QUIET_PERIOD_MS, SNAPSHOT_INTERVAL_MS);
+    await sleep(QUIET_PERIOD_MS);
+    const layout = scene.multi ? await sceneLayout(page, scene.selector) : null;
+    const clip = layout?.clip ?? await imageClip(page);
+    const extra = await sceneState(page, tStart, layout);
+
+    await page.close();
+    await video.saveAs(file);
+    analysis.signal?.throwIfAborted();
+    const offset = tStart - openedAt;
+    const timeline = (await extractVideoFrames(file, clip))
+      .map(f => ({ t: Math.round(f.pts - offset), png: f.png }))
+      .filter(f => f.t >= 0);
+    return await finishRun(timeline, tStart, "video", analysis, extra);
+  } finally {
+    await page.close().catch(() => {});
+    await video?.delete().catch(() => {});
+    if (!keepVideoAs) await fs.remove(file).catch(() => {});
+  }
+}
+
+/* ------------------------ Truncated Delivery ------------------------
+   Deterministic alternative to the timed capture: the server delivers exactly the
+   first N% of the file and holds the connection, the harness waits for the paint to
+   settle and keeps one frame. Quality = similarity to the same browser's 100% frame,
+   measured over the 100% frame's image box, so no timer affects the result.
+------------------------------------------------------------------------- */
+const DEFAULT_TRUNCATION_STEPS = [5, 10, 15, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+
+async function waitFor(fn, timeoutMs, intervalMs = 25) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    const v = await fn();
+    if (v) return v;
+    if (Date.now() > until) return null;
+    await sleep(intervalMs);
+  }
+}
+
+async function captureTruncated(page, url, opts, { traces, clip, settleMs }) {
+  const tStart = Date.now();
+  await page.setContent(HARNESS_HTML({ url, ...opts }), { waitUntil: "domcontentloaded", timeout: 30000 });
+
+  const trace = await waitFor(() => {
+    const tr = findTrace(traces, url, tStart);
+    return tr && tr.truncateBytes != null && tr.totalBytes >= tr.truncateBytes ? tr : null;
+  }, MAX_CAPTURE_MS);
+  if (!trace) throw new Error("truncated delivery did not start");
+  if (trace.truncateBytes >= trace.fileBytes) {
+    await waitFor(() => page.evaluate(() => { const img = document.getElementById('tgt'); return !!img && img.complete; }), MAX_CAPTURE_MS);
+  }
+
+  const box = clip ?? await imageClip(page);
+  let png = await page.screenshot({ clip: box });
+  let stableSince = Date.now();
+  while (Date.now() - stableSince < settleMs && Date.now() - tStart < MAX_CAPTURE_MS) {
+    await sleep(SNAPSHOT_INTERVAL_MS);
+    const next = await page.screenshot({ clip: box });
+    if (similarity(next, png) < 0.999) stableSince = Date.now();
+    png = next;
+  }
+  return { png, clip: box, bytes: trace.totalBytes, fileBytes: trace.fileBytes };
+}
+
+// config.truncation or --truncate [pct,pct,...]; --truncate-only skips the timed runs.
+function resolveTruncation(config, options = {}) {
+  const cfg = config.truncation;
+  const cli = options.truncate;
+  if (cli == null && options.truncateOnly == null && (!cfg || cfg.enabled === false)) return null;
+  const raw = cli != null && cli !== true ? String(cli).split(",").map(Number) : (cfg?.steps ?? DEFAULT_TRUNCATION_STEPS);
+  const steps = [...new Set(raw.filter(v => Number.isFinite(v) && v >= 0 && v <= 100))];
+  if (!steps.length) throw new Error("truncation.steps: expected percentages between 0 and 100");
+  return {
+    steps,
+    settleMs: cfg?.settleMs ?? 1000,
+    runs: Math.max(1, Number(cfg?.runs) || 1),
+    only: !!cfg?.only || (options.truncateOnly != null && parseBool(options.truncateOnly))
+  };
+}
+
+// Sweep: 100% first (reference frame + clip), then every step in ascending order.
+// signal: aborted when the sweep timed out; checked before each step.
+async function runTruncationSweep(page, baseURL, opts, { traces, steps, settleMs, signal = null }) {
+  const withParam = f => `${baseURL}${baseURL.includes("?") ? "&" : "?"}${TRUNCATE_PARAM}=${f}`;
+  const ref = await captureTruncated(page, withParam(1), opts, { traces, settleMs });
+  const points = [];
+  for (const pct of [...steps].sort((a, b) => a - b)) {
+    signal?.throwIfAborted();
+    const shot = pct >= 100 ? ref : await captureTruncated(page, withParam(pct / 100), opts, { traces, clip: ref.clip, settleMs });
+    points.push({
+      pct,
+      bytes: shot.bytes,
+      fraction: shot.fileBytes ? +(shot.bytes / shot.fileBytes).toFixed(4) : pct / 100,
+      quality: +Math.min(1, Math.max(0, similarity(shot.png, ref.png))).toFixed(4)
+    });
+  }
+  return { fileBytes: ref.fileBytes, points };
+}
+
+function n(v){ return (v==null || Number.isNaN(v)) ? "" : Math.round(Number(v)); }
+function median(arr){ const a = arr.slice().sort((x,y)=>x-y); const m = a.length; return m? (m%2?a[(m-1)/2]:(a[m/2-1]+a[m/2])/2):null; }
+function percentile(arr, p){ if(!arr.length) return null; const a = arr.slice().sort((x,y)=>x-y); const idx = (p/100)*(a.length-1); const lo = Math.floor(idx), hi = Math.ceil(idx); if(lo===hi) return a[lo]; const w = idx-lo; return a[lo]*(1-w)+a[hi]*w; }
+
+// Page tests: per-element median/p10/p90 across runs, by element name in page order.
+function aggregateElements(runs, keys) {
+  const names = [...new Set(runs.flatMap(r => (r.elements || []).map(e => e.name)))];
+  if (!names.length) return null;
+  return names.map(name => {
+    const els = runs.map(r => r.elements?.find(e => e.name === name)).filter(Boolean);
+    const vals = m => els.map(e => e[m]).filter(v => v != null && Number.isFinite(Number(v))).map(Number);
+    const stat = fn => Object.fromEntries(keys.map(m => [m, fn(vals(m))]));
+    return { name, url: String(els[0].url).split("?")[0], offscreen: els.every(e => e.offscreen), n: els.length,
+             median: stat(median), p10: stat(a => percentile(a, 10)), p90: stat(a => percentile(a, 90)) };
+  });
+}
+
+/* ------------------------ Dashboard HTML ------------------------ */
+function buildDashboardHTML({ stamp, configName, aggregated, meta, perRun = [], plotly = PLOTLY_CDN_TAG }) {
+  const dataAgg = JSON.stringify(aggregated);
+  const env = JSON.stringify(meta);
+  // Completeness over time, one curve per run
+  const timeCurves = JSON.stringify(perRun
+    .filter(r => !r.error && r.samples?.length)
+    .map(r => ({ browser: r.browser, id: r.id, run: r.run, t: r.samples.map(s => s.t), c: r.samples.map(s => s.completeness) })));
+  // Completeness vs. fraction of the file received, one curve per run
+  const byteCurves = JSON.stringify(perRun
+    .filter(r => !r.error && r.fileBytes && r.samples?.length)
+    .map(r => ({ browser: r.browser, id: r.id, run: r.run, x: r.samples.map(s => +(s.bytes / r.fileBytes).toFixed(4)), y: r.samples.map(s => s.completeness) })));
+  // Completeness and reference SSIM over time, one pair of curves per run (runs with a reference only)
+  const fidelityCurves = JSON.stringify(perRun
+    .filter(r => !r.error && r.fidelitySamples?.length)
+    .map(r => ({ browser: r.browser, id: r.id, run: r.run, t: r.samples.map(s => s.t), c: r.samples.map(s => s.completeness), ssim: r.fidelitySamples.map(s => s.ssim) })));
+  // Browser-reported paint timing vs. pixel thresholds, one point per run (engines with LCP / element timing)
+  const paintRuns = JSON.stringify(perRun
+    .filter(r => !r.error && (r.tLCP != null || r.tElement != null))
+    .map(r => ({ browser: r.browser, id: r.id, run: r.run, tLCP: r.tLCP, tElement: r.tElement,
+                 t: Object.fromEntries(Object.entries(r).filter(([k]) => /^t\d/.test(k))) })));
+  // Distinct frames per run (capture.filmstrip), paths relative to the dashboard
+  const filmstrips = JSON.stringify(perRun
+    .filter(r => !r.error && r.filmstrip?.frames?.length)
+    .map(r => ({ browser: r.browser, id: r.id, run: r.run, visIndex: r.visIndex, frames: r.filmstrip.frames })));
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8" />
+<title>Progressive Image Bench – ${stamp}</title>
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+${plotly}
+<style>
+  :root { --card-min-h: 340px; }
+  html, body { height: 100%; }
+  body { font: 14px/1.4 -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,system-ui; margin: 16px; }
+  h1 { font-size: 20px; margin: 0 0 8px; }
+  .grid { display: grid; grid-template-columns: 1fr; gap: 16px; }
+  .card { padding: 12px; border: 1px solid #e3e3e3; border-radius: 10px; background: #fff; }
+  .plot { width: 100%; min-height: var(--card-min-h); }
+  .table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  .table th, .table td { border-bottom: 1px solid #eee; padding: 6px 8px; text-align: left; }
+  .small { color:#666; font-size:12px; }
+  .kv { display:flex; flex-wrap:wrap; gap:10px; margin-bottom:10px; }
+  .kv div { background:#f7f7f7; border-radius:8px; padding:6px 8px; }
+  .wide { grid-column: 1 / -1; }
+  .ctl { margin-bottom: 6px; }
+  .ctl input[type=range] { width: 40%; vertical-align: middle; }
+  .film-row { display: flex; gap: 12px; align-items: flex-start; padding: 8px 0; border-bottom: 1px solid #eee; }
+  .film-name { width: 120px; flex: none; font-weight: 600; }
+  .film-now { width: 200px; height: 150px; flex: none; object-fit: contain; background: #f7f7f7; }
+  .film-strip { display: flex; gap: 6px; overflow-x: auto; }
+  .film-strip figure { margin: 0; opacity: .45; cursor: pointer; text-align: center; }
+  .film-strip figure.on { opacity: 1; outline: 2px solid #1f77b4; }
+  .film-strip img { height: 72px; display: block; }
+  .err-shot { height: 60px; margin-left: 6px; vertical-align: middle; border: 1px solid #eee; }
+  .chosen td { vertical-align: top; }
+  .pass { color: #2ca02c; font-weight: 600; }
+  .fail { color: #d62728; font-weight: 600; }
+  .chosen .fmt { display: inline-block; min-width: 44px; padding: 1px 6px; border-radius: 6px; color: #fff; font-weight: 600; text-align: center; }
+  @media (min-width: 1100px) { .grid { grid-template-columns: 1fr 1fr; } }
+</style>
+</head>
+<body>
+<h1>Progressive Image Bench – ${stamp}</h1>
+<div class="small">Config: <code>${configName}</code></div>
+
+<div class="card" id="meta"></div>
+
+<div class="grid" id="grid">
+  <div class="card wide" id="budget_card">
+    <div class="ctl small" id="budget_summary"></div>
+    <table class="table" id="budgets"></table>
+  </div>
+  <div class="card wide" id="chosen_card">
+    <div class="ctl small">Chosen format (&lt;picture&gt;/srcset, Accept negotiation) – Metric: <select id="chosen_metric"></select></div>
+    <table class="table chosen" id="chosen"></table>
+  </div>
+  <div class="card wide" id="lcp_card">
+    <div class="ctl small">
+      Browser paint timing vs. pixels – <select id="lcp_y"><option value="tLCP">LCP</option><option value="tElement">Element timing</option></select>
+      vs. <select id="lcp_x"></select> Test: <select id="lcp_test"></select>
+    </div>
+    <div id="lcp_scatter" class="plot"></div>
+  </div>
+  <div class="card wide">
+    <div class="ctl small">Format: <select id="curve_format"></select> Test: <select id="curve_test"></select></div>
+    <div id="time_curve" class="plot"></div>
+  </div>
+  <div class="card wide">
+    <div class="ctl small">Test: <select id="bytes_test"></select></div>
+    <div id="bytes_curve" class="plot"></div>
+  </div>
+  <div class="card fid"><div id="bar_ssim" class="plot"></div></div>
+  <div class="card fid"><div id="bar_de" class="plot"></div></div>
+  <div class="card wide fid">
+    <div class="ctl small">Test: <select id="fid_test"></select></div>
+    <div id="fid_curve" class="plot"></div>
+  </div>
+  <div class="card wide" id="rd_card">
+    <div class="ctl small">
+      Encoder sweep – Browser: <select id="rd_browser"></select>
+      Time: <select id="rd_metric"></select>
+      <span class="fid">Fidelity: <select id="rd_fid_metric"><option value="ssim">SSIM</option><option value="deltaE">ΔE00</option><option value="psnr">PSNR</option></select></span>
+    </div>
+    <div id="rd_time" class="plot"></div>
+    <div id="rd_fid" class="plot fid"></div>
+  </div>
+  <div class="card wide" id="elem_card">
+    <div class="ctl small">
+      Page elements – Test: <select id="elem_test"></select>
+      Metric: <select id="elem_metric"></select>
+    </div>
+    <div id="elem_bars" class="plot"></div>
+  </div>
+  <div class="card wide" id="film_card">
+    <div class="ctl small">
+      Filmstrip – Test: <select id="film_test"></select>
+      Run: <select id="film_run"></select>
+      <button id="film_play">▶</button>
+      <input type="range" id="film_t" min="0" step="10" value="0" /> <span id="film_t_lbl"></span>
+    </div>
+    <div id="filmstrip"></div>
+  </div>
+  <div class="card wide" id="trunc_card">
+    <div class="ctl small">Test: <select id="trunc_test"></select></div>
+    <div id="trunc_curve" class="plot"></div>
+  </div>
+  <div class="card">
+    <table class="table" id="summary"></table>
+  </div>
+</div>
+
+<script>
+const aggregatedAll = ${dataAgg};
+const aggregated = aggregatedAll.filter(r => r.mode !== 'truncated');
+const truncRows = aggregatedAll.filter(r => r.mode === 'truncated');
+const meta = ${env};
+const timeCurves = ${timeCurves};
+const byteCurves = ${byteCurves};
+const fidelityCurves = ${fidelityCurves};
+const filmstrips = ${filmstrips};
+const paintRuns = ${paintRuns};
+const testOrder = [...new Set(aggregatedAll.map(r => r.id))];
+// Charts and table columns follow the configured thresholds (older runs: 85/95)
+const thresholds = meta.thresholds || [0.85, 0.95];
+const tKeys = thresholds.map(th => 't' + (+(th * 100).toFixed(1)));
+const milestoneCharts = [
+  ['tFirstPaint', 'First paint'],
+  ['tFirstNonBg', 'First non-background paint'],
+  ['tFullExtent', 'First full-extent paint'],
+  ['tLastChange', 'Last visual change']
+];
+// Browser-reported paint timing, next to the pixel thresholds
+const paintCharts = [
+  ['tLCP', 'Largest Contentful Paint'],
+  ['tElement', 'Element timing (image)']
+];
+// Decode cost: harness timing (every engine), trace metrics (Chromium)
+const decodeCharts = [
+  ['tDecoded', 'img.decode() resolved', 'ms'],
+  ['decodeMs', 'Image decode time (trace)', 'ms'],
+  ['blockingMs', 'Main-thread blocking over 50 ms (trace)', 'ms'],
+  ['longTasks', 'Long tasks (trace)', 'count']
+];
+
+function renderMeta() {
+  const m = document.getElementById('meta');
+  const sys = meta.system;
+  const vers = meta.versions;
+  const osLine = sys.os_type + " " + sys.os_release + " (" + sys.os_platform + ", " + sys.os_arch + ")";
+  const hwLine = sys.cpu_model + " ×" + sys.cpu_cores + " • " + sys.memory_gb + " GB RAM";
+  const nodeLine = "Node " + meta.node + (meta.runs ? " • runs=" + meta.runs : "");
+  const cap = meta.capture ? Object.entries(meta.capture.backends || {}).map(([k,v]) => k + ": " + v).join(" • ")
+    + (meta.capture.trace ? " • Chromium traced (times include tracing overhead)" : " • not traced") : "";
+  const specs = meta.browsers || {};
+  const browsers = Object.entries(vers).map(([k,v]) => {
+    const s = specs[k];
+    const how = s ? " (" + s.engine + (s.channel ? "/" + s.channel : "") + (s.headless ? ", headless" : "") + ")" : "";
+    return k + ": " + v + how;
+  }).join(" • ");
+  m.innerHTML = '<div class="kv">'
+    + '<div><b>OS</b>: ' + osLine + '</div>'
+    + '<div><b>HW</b>: ' + hwLine + '</div>'
+    + '<div><b>Node</b>: ' + nodeLine + '</div>'
+    + '<div><b>Browsers</b>: ' + browsers + '</div>'
+    + (cap ? '<div><b>Capture</b>: ' + cap + '</div>' : '')
+    + '</div>';
+}
+
+/* -------- Grouped BAR charts (one bar per configured browser per test) -------- */
+function barsFor(metricKey, elId, title, yTitle, isFloat=false) {
+  const browsers = [...new Set(aggregated.map(r => r.browser))];
+  const traces = browsers.map(b => {
+    const rows = aggregated.filter(r => r.browser === b);
+    const y = testOrder.map(id => {
+      const row = rows.find(r => r.id === id);
+      const v = row?.median?.[metricKey];
+      if (v==null || Number.isNaN(Number(v))) return null;
+      return isFloat ? Number(v) : Math.round(Number(v));
+    });
+    return {
+      x: testOrder,
+      y,
+      name: b,
+      type: 'bar',
+      offsetgroup: b,
+      hovertemplate: 'Browser: ' + b + '<br>Test: %{x}<br>' + title + ': %{y}' + (isFloat ? '' : ' ms') + '<extra></extra>'
+    };
+  });
+  const layout = {
+    title,
+    barmode:'group',
+    bargap: 0.15,
+    bargroupgap: 0.08,
+    xaxis:{ title:'Test', categoryarray: testOrder, categoryorder:'array' },
+    yaxis:{ title:yTitle, rangemode:'tozero', tickformat: isFloat ? '.3f' : undefined },
+    margin:{ t:40, r:10, b:60, l:50 }
+  };
+  Plotly.newPlot(elId, traces, layout, {displaylogo:false, responsive:true, useResizeHandler:true});
+}
+
 /* ---------------- Box-plots for full run distributions ----------------
  * One trace per browser. Each trace contains values for all tests with
- * x repeated per value so Plotly renders 3 side-by-side boxes per test.
+ * x repeated per value so Plotly renders side-by-side boxes per test.
  * This removes legend spam and prevents overlapping boxes.
  */
 function boxPlot(metric, elId, title) {
   const browsers = [...new Set(aggregated.map(r => r.browser))];
-  const traces = browsers.map(b => {
-    const rows = aggregated.filter(r => r.browser === b);
+  const traces = browsers.map(b => {
+    const rows = aggregated.filter(r => r.browser === b);
+
+    // Build x/y arrays: for each test ID, append that ID once per sample value
+    const x = [];
+    const y = [];
+    for (const id of testOrder) {
+      const row = rows.find(r => r.id === id);
+      const vals = (row && row.dist && row.dist[metric]) ? row.dist[metric] : [];
+      for (let i = 0; i < vals.length; i++) {
+        x.push(id);
+        y.push(vals[i]);
+      }
+    }
+
+    return {
+      x,
+      y,
+      name: b,
+      type: 'box',
+      boxpoints: 'outliers',
+      offsetgroup: b,     // align groups consistently across categories
+      legendgroup: b,
+      showlegend: true,
+      hovertemplate: 'Browser: ' + b + '<br>Test: %{x}<br>' + metric + ': %{y}<extra></extra>'
+    };
+  });
+
+  const isVI = metric === 'visIndex';
+  const layout = {
+    title,
+    boxmode: 'group',      // <- key for side-by-side per category
+    xaxis: {
+      title: 'Test ID',
+      type: 'category',
+      categoryarray: testOrder,
+      categoryorder: 'array'
+    },
+    yaxis: {
+      title: isVI ? 'index' : 'ms',
+      rangemode: 'tozero',
+      tickformat: isVI ? '.3f' : undefined
+    },
+    margin: { t: 40, r: 10, b: 60, l: 50 }
+  };
+
+  Plotly.newPlot(elId, traces, layout, {
+    displaylogo: false,
+    responsive: true,
+    useResizeHandler: true
+  });
+}
+
+/* Metric cards are generated (in order) ahead of the fixed panels in the grid. */
+function addPlotCard(id) {
+  const grid = document.getElementById('grid');
+  const card = document.createElement('div');
+  card.className = 'card';
+  card.innerHTML = '<div id="' + id + '" class="plot"></div>';
+  grid.insertBefore(card, grid.querySelector('.wide'));
+}
+
+function metricCharts() {
+  tKeys.forEach((k, i) => {
+    addPlotCard('bar_' + k);
+    barsFor(k, 'bar_' + k, 'Time to ' + (+(thresholds[i] * 100).toFixed(1)) + '% (median)', 'ms', false);
+  });
+  paintCharts
+    .filter(([k]) => aggregated.some(r => r.median && r.median[k] != null))
+    .forEach(([k, title]) => {
+      addPlotCard('bar_' + k);
+      barsFor(k, 'bar_' + k, title + ' (median)', 'ms', false);
+    });
+  addPlotCard('bar_vi');
+  barsFor('visIndex', 'bar_vi', 'Visual Index (median, lower is better)', 'index', true);
+  decodeCharts
+    .filter(([k]) => aggregated.some(r => r.median && r.median[k] != null))
+    .forEach(([k, title, unit]) => {
+      addPlotCard('bar_' + k);
+      barsFor(k, 'bar_' + k, title + ' (median)', unit, false);
+    });
+  tKeys.forEach(k => {
+    addPlotCard('box_' + k);
+    boxPlot(k, 'box_' + k, k + ' distribution (lower is better)');
+  });
+  addPlotCard('box_vi');
+  boxPlot('visIndex', 'box_vi', 'Visual Index distribution (lower is better)');
+  milestoneCharts
+    .filter(([k]) => aggregated.some(r => r.median && r.median[k] != null))
+    .forEach(([k, title]) => {
+      addPlotCard('bar_' + k);
+      barsFor(k, 'bar_' + k, title + ' (median)', 'ms', false);
+    });
+}
+
+function drawTable() {
+  const sfx = ['FirstPaint'].concat(tKeys.map(k => k.slice(1)));
+  const headers = ["browser","browser_version","id","label","format"]
+    .concat(tKeys.concat(['visIndex']).flatMap(k => ['median_' + k, 'p10_' + k, 'p90_' + k]))
+    .concat(["median_tLCP","median_tElement"])
+    .concat(["median_tFirstPaint","median_tFirstNonBg","median_tFullExtent","median_tLastChange","file_bytes"])
+    .concat(sfx.flatMap(x => ['median_bytes' + x, 'median_frac' + x]))
+    .concat(["median_ssim","median_psnr","median_deltaE",
+             "median_tLoad","median_tDecoded","median_decodeMs","median_decodeMainMs","median_longTasks","median_blockingMs",
+             "capture","fps",
+             "asset","dimensions","bpp","natural","asset_flags","fetched","budget",
+             "notes","n_runs","errors"]);
+  const tbl = document.getElementById('summary');
+  const thead = document.createElement('thead'); const trh = document.createElement('tr');
+  headers.forEach(h => { const th = document.createElement('th'); th.textContent = h; trh.appendChild(th); });
+  thead.appendChild(trh);
+  const tbody = document.createElement('tbody');
+
+  const byBrowser = {};
+  aggregated.forEach(r => { (byBrowser[r.browser] ||= []).push(r); });
+  Object.keys(byBrowser).sort().forEach(b => {
+    const rows = byBrowser[b].slice().sort((a,b) => testOrder.indexOf(a.id) - testOrder.indexOf(b.id));
+    rows.forEach(r => {
+      const tr = document.createElement('tr');
+      const row = [r.browser, r.browser_version, r.id, r.label, r.format]
+        .concat(tKeys.flatMap(k => [round(r.median[k]), round(r.p10[k]), round(r.p90[k])]))
+        .concat([fmt3(r.median.visIndex), fmt3(r.p10.visIndex), fmt3(r.p90.visIndex)])
+        .concat([round(r.median.tLCP), round(r.median.tElement)])
+        .concat([round(r.median.tFirstPaint), round(r.median.tFirstNonBg), round(r.median.tFullExtent), round(r.median.tLastChange), round(r.fileBytes)])
+        .concat(sfx.flatMap(x => [round(r.median['bytes' + x]), pct(r.median['frac' + x])]))
+        .concat([
+        fmt3(r.median.ssim), r.median.psnr == null ? "" : (+r.median.psnr).toFixed(1), r.median.deltaE == null ? "" : (+r.median.deltaE).toFixed(2),
+        round(r.median.tLoad), round(r.median.tDecoded), fix1(r.median.decodeMs), fix1(r.median.decodeMainMs), r.median.longTasks ?? "", fix1(r.median.blockingMs),
+        r.capture?.backend, r.capture?.fps,
+        r.probe?.codec || r.probe?.container, r.probe?.width ? r.probe.width + '×' + r.probe.height : "", r.probe?.bpp,
+        r.natural ? r.natural.width + '×' + r.natural.height : "", (r.flags||[]).join(" | "),
+        r.fetched ? (r.fetched.file || r.fetched.url) + ' (' + r.fetched.contentType + ')' : "",
+        budgetCell(r),
+        r.notes || "", r.dist.count, (r.errors||[]).join(" | ")
+      ]);
+      if ((r.flags||[]).length) tr.style.background = '#fff4e5';
+      if ((r.budgets||[]).some(c => !c.ok)) tr.style.background = '#fdecea';
+      row.forEach(v => { const td = document.createElement('td'); td.textContent = v ?? ""; tr.appendChild(td); });
+      // Failed runs keep a screenshot of what the page showed (errors/…); embedded ones (data: URIs,
+      // which browsers do not open as links) are shown inline
+      (r.errorScreenshots || []).forEach((f, i) => {
+        const el = document.createElement(f.startsWith('data:') ? 'img' : 'a');
+        if (el.tagName === 'IMG') Object.assign(el, { src: f, className: 'err-shot', title: 'screenshot ' + (i + 1) });
+        else Object.assign(el, { href: f, target: '_blank', textContent: ' [screenshot ' + (i + 1) + ']' });
+        tr.lastChild.appendChild(el);
+      });
+      if (r.retried) tr.lastChild.appendChild(document.createTextNode(' (' + r.retried + ' run(s) passed on retry)'));
+      tbody.appendChild(tr);
+    });
+  });
+
+  tbl.appendChild(thead); tbl.appendChild(tbody);
+
+  function round(v){ return (v==null||isNaN(v)) ? "" : Math.round(v); }
+  function fmt3(v){ return (v==null||isNaN(v)) ? "" : (+v).toFixed(3); }
+  function fix1(v){ return (v==null||isNaN(v)) ? "" : (+v).toFixed(1); }
+  function pct(v){ return (v==null||isNaN(v)) ? "" : (100 * v).toFixed(1) + "%"; }
+  function budgetCell(r){ const failed = (r.budgets||[]).filter(c => !c.ok).length; return !r.budgets?.length ? "" : failed ? failed + " over" : "pass"; }
+}
+
+/* -------- Budgets: every check of config.budgets, failures first -------- */
+function budgetPanel() {
+  const b = meta.budgets;
+  if (!b) { document.getElementById('budget_card').style.display = 'none'; return; }
+  const esc = v => String(v ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  const value = (m, v) => v == null ? 'missing' : (m === 'visIndex' ? (+v).toFixed(3) : Math.round(v) + ' ms');
+  const e = b.errorRate;
+  document.getElementById('budget_summary').innerHTML = '<span class="' + (b.ok ? 'pass">PASS' : 'fail">FAIL') + '</span> – Budgets: '
+    + (b.checks - b.failed) + '/' + b.checks + ' passed • errored runs: ' + e.errored + '/' + e.total
+    + ' (' + (100 * e.rate).toFixed(1) + '%, max ' + (100 * e.max).toFixed(1) + '%)' + (e.ok ? '' : ' <span class="fail">too many errors</span>')
+    + (b.unmatched.length ? ' • rules matching nothing: ' + b.unmatched.join(', ') : '');
+  const checks = aggregated.flatMap(r => (r.budgets || []).map(c => Object.assign({ browser: r.browser, id: r.id }, c)))
+    .sort((x, y) => x.ok - y.ok || testOrder.indexOf(x.id) - testOrder.indexOf(y.id));
+  document.getElementById('budgets').innerHTML = '<thead><tr><th></th><th>browser</th><th>test</th><th>metric</th><th>value</th><th>limit</th><th>rule</th></tr></thead><tbody>'
+    + checks.map(c => '<tr><td class="' + (c.ok ? 'pass">pass' : 'fail">FAIL') + '</td><td>' + esc(c.browser) + '</td><td>' + esc(c.id) + '</td><td>'
+      + esc(c.metric + ' ' + c.stat) + '</td><td>' + value(c.metric, c.value) + '</td><td>' + value(c.metric, c.limit) + '</td><td>' + c.rule + '</td></tr>').join('')
+    + '</tbody>';
+}
+
+/* -------- Completeness vs. time: every run, per-browser median and p10–p90 band -------- */
+// Step-interpolates each run on a shared time grid (completeness holds until the next frame).
+function curveStats(curves, grid) {
+  const at = (c, t) => { let v = 0; for (let i = 0; i < c.t.length && c.t[i] <= t; i++) v = c.c[i]; return v; };
+  const q = (a, p) => { const idx = p * (a.length - 1), lo = Math.floor(idx), hi = Math.ceil(idx); return a[lo] + (a[hi] - a[lo]) * (idx - lo); };
+  const cols = grid.map(t => curves.map(c => at(c, t)).sort((a, b) => a - b));
+  return { median: cols.map(a => q(a, 0.5)), p10: cols.map(a => q(a, 0.1)), p90: cols.map(a => q(a, 0.9)) };
+}
+
+function timeCurvesChart() {
+  const selFmt = document.getElementById('curve_format');
+  const selTest = document.getElementById('curve_test');
+  const formatOf = id => aggregated.find(r => r.id === id)?.format || '';
+  const ids = testOrder.filter(id => timeCurves.some(c => c.id === id));
+  const formats = [...new Set(ids.map(formatOf))].filter(Boolean);
+  selFmt.innerHTML = '<option value="">all</option>' + formats.map(f => '<option>' + f + '</option>').join('');
+  const browsers = [...new Set(aggregated.map(r => r.browser))];
+  const palette = ['#1f77b4','#ff7f0e','#2ca02c','#d62728','#9467bd','#8c564b','#e377c2','#7f7f7f','#bcbd22','#17becf'];
+  const fade = (hex, a) => 'rgba(' + [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)).join(',') + ',' + a + ')';
+  const fillTests = () => {
+    selTest.innerHTML = ids.filter(id => !selFmt.value || formatOf(id) === selFmt.value)
+      .map(id => '<option value="' + id + '">' + id + (formatOf(id) ? ' (' + formatOf(id) + ')' : '') + '</option>').join('');
+  };
+  const draw = () => {
+    const curves = timeCurves.filter(c => c.id === selTest.value);
+    const tMax = Math.max(0, ...curves.map(c => c.t[c.t.length - 1]));
+    const step = Math.max(10, Math.ceil(tMax / 200));
+    const grid = [];
+    for (let t = 0; t <= tMax + step; t += step) grid.push(t);
+    const traces = [];
+    browsers.forEach((b, bi) => {
+      const runs = curves.filter(c => c.browser === b);
+      if (!runs.length) return;
+      const color = palette[bi % palette.length];
+      runs.forEach(c => traces.push({
+        x: c.t, y: c.c, name: b + ' run ' + c.run, legendgroup: b, showlegend: false,
+        type: 'scatter', mode: 'lines', line: { shape: 'hv', width: 1, color: fade(color, 0.35) },
+        hovertemplate: b + ' run ' + c.run + '<br>t=%{x} ms<br>completeness: %{y:.3f}<extra></extra>'
+      }));
+      const st = curveStats(runs, grid);
+      traces.push({ x: grid, y: st.p10, name: b + ' p10', legendgroup: b, showlegend: false, hoverinfo: 'skip',
+                    type: 'scatter', mode: 'lines', line: { shape: 'hv', width: 0, color } });
+      traces.push({ x: grid, y: st.p90, name: b + ' p10–p90', legendgroup: b, showlegend: false, hoverinfo: 'skip',
+                    type: 'scatter', mode: 'lines', fill: 'tonexty', fillcolor: fade(color, 0.15), line: { shape: 'hv', width: 0, color } });
+      traces.push({ x: grid, y: st.median, name: b, legendgroup: b,
+                    type: 'scatter', mode: 'lines', line: { shape: 'hv', width: 3, color },
+                    hovertemplate: b + ' median<br>t=%{x} ms<br>completeness: %{y:.3f}<extra></extra>' });
+    });
+    Plotly.react('time_curve', traces, {
+      title: 'Completeness vs. time (all runs, median and p10–p90) – ' + (selTest.value || 'no runs'),
+      xaxis: { title: 'ms since request start' },
+      yaxis: { title: 'completeness', range: [0, 1.02] },
+      margin: { t: 40, r: 10, b: 50, l: 50 }
+    }, {displaylogo:false, responsive:true});
+  };
+  selFmt.addEventListener('change', () => { fillTests(); draw(); });
+  selTest.addEventListener('change', draw);
+  fillTests();
+  draw();
+}
+
+/* -------- Completeness vs. bytes received (one line per run, colored by browser) -------- */
+function bytesChart() {
+  const sel = document.getElementById('bytes_test');
+  const ids = testOrder.filter(id => byteCurves.some(c => c.id === id));
+  sel.innerHTML = ids.map(id => '<option>' + id + '</option>').join('');
+  const browsers = [...new Set(aggregated.map(r => r.browser))];
+  const palette = ['#1f77b4','#ff7f0e','#2ca02c','#d62728','#9467bd','#8c564b','#e377c2','#7f7f7f','#bcbd22','#17becf'];
+  const draw = () => {
+    const shown = new Set();
+    const traces = byteCurves.filter(c => c.id === sel.value).map(c => {
+      const first = !shown.has(c.browser); shown.add(c.browser);
+      return {
+        x: c.x, y: c.y, name: c.browser, legendgroup: c.browser, showlegend: first,
+        type: 'scatter', mode: 'lines+markers', line: { shape: 'hv', color: palette[browsers.indexOf(c.browser) % palette.length] },
+        hovertemplate: c.browser + ' run ' + c.run + '<br>received: %{x:.1%}<br>completeness: %{y:.3f}<extra></extra>'
+      };
+    });
+    Plotly.react('bytes_curve', traces, {
+      title: 'Completeness vs. bytes received – ' + (sel.value || 'no byte traces'),
+      xaxis: { title: 'fraction of file received', tickformat: '.0%', range: [0, 1.02] },
+      yaxis: { title: 'completeness', range: [0, 1.02] },
+      margin: { t: 40, r: 10, b: 50, l: 50 }
+    }, {displaylogo:false, responsive:true});
+  };
+  sel.addEventListener('change', draw);
+  draw();
+}
+
+/* -------- Reference fidelity: final SSIM/ΔE bars + completeness vs. SSIM over time -------- */
+function fidelityCharts() {
+  if (!aggregated.some(r => r.median && r.median.ssim != null)) {
+    document.querySelectorAll('.fid').forEach(el => { el.style.display = 'none'; });
+    return;
+  }
+  barsFor('ssim', 'bar_ssim', 'Final fidelity – SSIM vs. reference (median, higher is better)', 'SSIM', true);
+  barsFor('deltaE', 'bar_de', 'Final color error – mean ΔE2000 vs. reference (median, lower is better)', 'ΔE00', true);
+
+  const sel = document.getElementById('fid_test');
+  const ids = testOrder.filter(id => fidelityCurves.some(c => c.id === id));
+  sel.innerHTML = ids.map(id => '<option>' + id + '</option>').join('');
+  const browsers = [...new Set(aggregated.map(r => r.browser))];
+  const palette = ['#1f77b4','#ff7f0e','#2ca02c','#d62728','#9467bd','#8c564b','#e377c2','#7f7f7f','#bcbd22','#17becf'];
+  const draw = () => {
+    const shown = new Set();
+    const traces = [];
+    fidelityCurves.filter(c => c.id === sel.value).forEach(c => {
+      const color = palette[browsers.indexOf(c.browser) % palette.length];
+      const first = !shown.has(c.browser); shown.add(c.browser);
+      traces.push({ x: c.t, y: c.c, name: c.browser + ' completeness', legendgroup: c.browser + 'c', showlegend: first,
+        type: 'scatter', mode: 'lines', line: { shape: 'hv', color },
+        hovertemplate: c.browser + ' run ' + c.run + '<br>%{x} ms<br>completeness: %{y:.3f}<extra></extra>' });
+      traces.push({ x: c.t, y: c.ssim, name: c.browser + ' SSIM vs. ref', legendgroup: c.browser + 's', showlegend: first,
+        type: 'scatter', mode: 'lines', line: { shape: 'hv', color, dash: 'dot' },
+        hovertemplate: c.browser + ' run ' + c.run + '<br>%{x} ms<br>SSIM: %{y:.3f}<extra></extra>' });
+    });
+    Plotly.react('fid_curve', traces, {
+      title: 'Completeness (solid) vs. fidelity to reference (dotted) over time – ' + sel.value,
+      xaxis: { title: 'ms since request start', rangemode: 'tozero' },
+      yaxis: { title: 'score', range: [0, 1.02] },
+      margin: { t: 40, r: 10, b: 50, l: 50 }
+    }, {displaylogo:false, responsive:true});
+  };
+  sel.addEventListener('change', draw);
+  draw();
+}
+
+/* -------- Truncated delivery: quality vs. fraction of bytes delivered (one line per browser) -------- */
+function truncChart() {
+  if (!truncRows.length) { document.getElementById('trunc_card').style.display = 'none'; return; }
+  const sel = document.getElementById('trunc_test');
+  const ids = testOrder.filter(id => truncRows.some(r => r.id === id));
+  sel.innerHTML = ids.map(id => '<option>' + id + '</option>').join('');
+  const draw = () => {
+    const traces = truncRows.filter(r => r.id === sel.value).map(r => ({
+      x: r.curve.map(p => p.fraction), y: r.curve.map(p => p.quality), name: r.browser,
+      type: 'scatter', mode: 'lines+markers',
+      error_y: { type: 'data', symmetric: false, array: r.curve.map(p => p.p90 - p.quality), arrayminus: r.curve.map(p => p.quality - p.p10), visible: r.curve.some(p => p.n > 1) },
+      hovertemplate: r.browser + '<br>delivered: %{x:.1%}<br>quality: %{y:.3f}<extra></extra>'
+    }));
+    Plotly.react('trunc_curve', traces, {
+      title: 'Quality vs. bytes delivered (truncated, settled) – ' + sel.value,
+      xaxis: { title: 'fraction of file delivered', tickformat: '.0%', range: [0, 1.02] },
+      yaxis: { title: 'similarity to 100% frame', range: [0, 1.02] },
+      margin: { t: 40, r: 10, b: 50, l: 50 }
+    }, {displaylogo:false, responsive:true});
+  };
+  sel.addEventListener('change', draw);
+  draw();
+}
+
+/* -------- Encoder sweep: file size vs. time / final fidelity, one line per variant -------- */
+function sweepCharts() {
+  const rows = aggregated.filter(r => r.encoding && r.encoding.quality != null && r.fileBytes);
+  if (!rows.length) { document.getElementById('rd_card').style.display = 'none'; return; }
+  const selBrowser = document.getElementById('rd_browser');
+  const selMetric = document.getElementById('rd_metric');
+  const selFid = document.getElementById('rd_fid_metric');
+  selBrowser.innerHTML = [...new Set(rows.map(r => r.browser))].map(b => '<option>' + b + '</option>').join('');
+  const timeKeys = tKeys.concat(['visIndex']);
+  selMetric.innerHTML = timeKeys.map(k => '<option>' + k + '</option>').join('');
+  selMetric.value = tKeys.includes('t95') ? 't95' : tKeys[tKeys.length - 1];
+  const hasFid = rows.some(r => r.median.ssim != null);
+  const palette = ['#1f77b4','#ff7f0e','#2ca02c','#d62728','#9467bd','#8c564b','#e377c2','#7f7f7f','#bcbd22','#17becf'];
+  const variants = [...new Set(rows.map(r => r.encoding.variant))];
+  const scatter = (elId, key, title, yTitle) => {
+    const traces = variants.map((v, i) => {
+      const pts = rows.filter(r => r.browser === selBrowser.value && r.encoding.variant === v && r.median[key] != null)
+        .sort((a, b) => a.fileBytes - b.fileBytes);
+      return {
+        x: pts.map(r => r.fileBytes / 1024), y: pts.map(r => r.median[key]), name: v,
+        type: 'scatter', mode: 'lines+markers', line: { color: palette[i % palette.length] },
+        text: pts.map(r => 'q ' + r.encoding.quality + (r.encoding.effort != null ? ' / effort ' + r.encoding.effort : '')),
+        hovertemplate: v + ' %{text}<br>%{x:.1f} KiB<br>' + key + ': %{y}<extra></extra>'
+      };
+    }).filter(t => t.x.length);
+    Plotly.react(elId, traces, {
+      title: title + ' – ' + selBrowser.value,
+      xaxis: { title: 'file size (KiB)', rangemode: 'tozero' },
+      yaxis: { title: yTitle },
+      margin: { t: 40, r: 10, b: 50, l: 60 }
+    }, {displaylogo:false, responsive:true});
+  };
+  const draw = () => {
+    const k = selMetric.value;
+    scatter('rd_time', k, 'File size vs. median ' + k + ' (lower-left is better)', k === 'visIndex' ? 'index' : 'ms');
+    if (hasFid) {
+      const f = selFid.value;
+      scatter('rd_fid', f, 'File size vs. final ' + (f === 'deltaE' ? 'ΔE00 (lower is better)' : f.toUpperCase() + ' (higher is better)'), f);
+    }
+  };
+  [selBrowser, selMetric, selFid].forEach(el => el.addEventListener('change', draw));
+  draw();
+}
+
+/* -------- Page tests: per-element medians, grouped by element, one bar per browser -------- */
+function elementCharts() {
+  const rows = aggregated.filter(r => r.elements && r.elements.length);
+  if (!rows.length) { document.getElementById('elem_card').style.display = 'none'; return; }
+  const selTest = document.getElementById('elem_test');
+  const selMetric = document.getElementById('elem_metric');
+  selTest.innerHTML = testOrder.filter(id => rows.some(r => r.id === id)).map(id => '<option>' + id + '</option>').join('');
+  const keys = tKeys.concat(['visIndex']).concat(tKeys.map(k => 'bytes' + k.slice(1)).filter(k => rows.some(r => r.elements.some(e => e.median[k] != null))));
+  selMetric.innerHTML = keys.map(k => '<option>' + k + '</option>').join('');
+  selMetric.value = tKeys.includes('t95') ? 't95' : tKeys[tKeys.length - 1];
+  const draw = () => {
+    const k = selMetric.value;
+    const sel = rows.filter(r => r.id === selTest.value);
+    const traces = sel.map(r => {
+      const els = r.elements.filter(e => !e.offscreen);
+      return {
+        x: els.map(e => e.name), y: els.map(e => e.median[k]), name: r.browser, type: 'bar',
+        error_y: { type: 'data', symmetric: false, array: els.map(e => e.p90[k] != null && e.median[k] != null ? e.p90[k] - e.median[k] : null),
+                   arrayminus: els.map(e => e.p10[k] != null && e.median[k] != null ? e.median[k] - e.p10[k] : null), thickness: 1 },
+        text: els.map(e => e.url), hovertemplate: '%{x} (%{text})<br>' + k + ': %{y}<extra>' + r.browser + '</extra>'
+      };
+    });
+    const offscreen = [...new Set(sel.flatMap(r => r.elements.filter(e => e.offscreen).map(e => e.name)))];
+    Plotly.react('elem_bars', traces, {
+      title: selTest.value + ' – median ' + k + ' per image (p10–p90)' + (offscreen.length ? ' · offscreen: ' + offscreen.join(', ') : ''),
+      barmode: 'group',
+      yaxis: { title: k.startsWith('bytes') ? 'bytes' : (k === 'visIndex' ? 'index' : 'ms') },
+      margin: { t: 40, r: 10, b: 80, l: 60 }
+    }, {displaylogo:false, responsive:true});
+  };
+  [selTest, selMetric].forEach(el => el.addEventListener('change', draw));
+  draw();
+}
+
+/* -------- LCP / element timing vs. pixel thresholds: one point per run, y = x reference -------- */
+function paintCorrelation() {
+  if (!paintRuns.length) { document.getElementById('lcp_card').style.display = 'none'; return; }
+  const selY = document.getElementById('lcp_y');
+  const selX = document.getElementById('lcp_x');
+  const selTest = document.getElementById('lcp_test');
+  selX.innerHTML = tKeys.map(k => '<option>' + k + '</option>').join('');
+  selX.value = tKeys.includes('t95') ? 't95' : tKeys[tKeys.length - 1];
+  if (!paintRuns.some(p => p.tLCP != null)) selY.value = 'tElement';
+  selTest.innerHTML = '<option value="">all tests</option>' + testOrder.filter(id => paintRuns.some(p => p.id === id)).map(id => '<option>' + id + '</option>').join('');
+  const pearson = (xs, ys) => {
+    const n = xs.length; if (n < 3) return null;
+    const mx = xs.reduce((a, b) => a + b, 0) / n, my = ys.reduce((a, b) => a + b, 0) / n;
+    let sxy = 0, sxx = 0, syy = 0;
+    xs.forEach((x, i) => { sxy += (x - mx) * (ys[i] - my); sxx += (x - mx) ** 2; syy += (ys[i] - my) ** 2; });
+    return sxx && syy ? sxy / Math.sqrt(sxx * syy) : null;
+  };
+  const medianOf = a => { const s = a.slice().sort((x, y) => x - y); const m = s.length; return m ? (m % 2 ? s[(m - 1) / 2] : (s[m / 2 - 1] + s[m / 2]) / 2) : null; };
+  const draw = () => {
+    const xk = selX.value, yk = selY.value;
+    const pts = paintRuns.filter(p => (!selTest.value || p.id === selTest.value) && p[yk] != null && p.t[xk] != null);
+    const browsers = [...new Set(pts.map(p => p.browser))];
+    const traces = browsers.map(b => {
+      const sel = pts.filter(p => p.browser === b);
+      const xs = sel.map(p => p.t[xk]), ys = sel.map(p => p[yk]);
+      const r = pearson(xs, ys), d = medianOf(ys.map((y, i) => y - xs[i]));
+      return {
+        x: xs, y: ys, text: sel.map(p => p.id + ' run ' + p.run), type: 'scatter', mode: 'markers',
+        name: b + ' (' + (r == null ? 'r n/a' : 'r=' + r.toFixed(2)) + ', median Δ ' + (d == null ? 'n/a' : Math.round(d) + ' ms') + ')',
+        hovertemplate: '%{text}<br>' + xk + ': %{x} ms<br>' + yk + ': %{y} ms<extra>' + b + '</extra>'
+      };
+    });
+    const max = Math.max(1, ...pts.flatMap(p => [p.t[xk], p[yk]]));
+    traces.push({ x: [0, max], y: [0, max], type: 'scatter', mode: 'lines', name: 'y = x', line: { color: '#999', dash: 'dot' }, hoverinfo: 'skip' });
+    Plotly.react('lcp_scatter', traces, {
+      title: (yk === 'tLCP' ? 'LCP' : 'Element timing') + ' vs. ' + xk + ' per run (above the line: reported later than the pixels)',
+      xaxis: { title: xk + ' (ms, pixels)', rangemode: 'tozero' },
+      yaxis: { title: yk + ' (ms, browser-reported)', rangemode: 'tozero' },
+      margin: { t: 40, r: 10, b: 50, l: 60 }
+    }, {displaylogo:false, responsive:true});
+  };
+  [selY, selX, selTest].forEach(el => el.addEventListener('change', draw));
+  draw();
+}
+
+/* -------- Content negotiation: test × browser matrix of the fetched format + median metric -------- */
+function chosenMatrix() {
+  const rows = aggregated.filter(r => r.mode === 'timed' && (r.type === 'picture' || r.fetched?.negotiate));
+  if (!rows.length) { document.getElementById('chosen_card').style.display = 'none'; return; }
+  const sel = document.getElementById('chosen_metric');
+  const keys = tKeys.concat(['visIndex']);
+  sel.innerHTML = keys.map(k => '<option>' + k + '</option>').join('');
+  sel.value = tKeys.includes('t95') ? 't95' : tKeys[tKeys.length - 1];
+  const colors = { jxl: '#9467bd', avif: '#2ca02c', webp: '#1f77b4', jpeg: '#ff7f0e', png: '#8c564b', gif: '#7f7f7f' };
+  const browsers = [...new Set(rows.map(r => r.browser))];
+  const ids = testOrder.filter(id => rows.some(r => r.id === id));
+  const esc = v => String(v ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  const draw = () => {
+    const k = sel.value;
+    const value = v => v == null ? '–' : (k === 'visIndex' ? (+v).toFixed(3) : Math.round(v) + ' ms');
+    document.getElementById('chosen').innerHTML = '<thead><tr><th>test</th>' + browsers.map(b => '<th>' + esc(b) + '</th>').join('') + '</tr></thead><tbody>'
+      + ids.map(id => '<tr><td>' + esc(id) + '</td>' + browsers.map(b => {
+        const r = rows.find(x => x.id === id && x.browser === b);
+        if (!r) return '<td></td>';
+        const f = r.fetched;
+        const fmt = f?.contentType ? f.contentType.split('/').pop() : '?';
+        const tip = f ? (f.file || f.url) + (f.negotiated ? ' (negotiated from ' + f.url + ')' : '') + (f.variants > 1 ? ' · ' + f.variants + ' variants across runs' : '') : 'no server trace';
+        return '<td title="' + esc(tip) + '"><span class="fmt" style="background:' + (colors[fmt] || '#bcbd22') + '">' + esc(fmt) + '</span> '
+          + value(r.median[k]) + (f?.variants > 1 ? ' ⚠' : '') + '<div class="small">' + esc(f ? (f.file || f.url) : '') + '</div></td>';
+      }).join('') + '</tr>').join('') + '</tbody>';
+  };
+  sel.addEventListener('change', draw);
+  draw();
+}
+
+/* -------- Filmstrip: what each browser showed at the same millisecond -------- */
+function filmstripPanel() {
+  if (!filmstrips.length) { document.getElementById('film_card').style.display = 'none'; return; }
+  const selTest = document.getElementById('film_test');
+  const selRun = document.getElementById('film_run');
+  const slider = document.getElementById('film_t');
+  const label = document.getElementById('film_t_lbl');
+  const play = document.getElementById('film_play');
+  const host = document.getElementById('filmstrip');
+  const ids = testOrder.filter(id => filmstrips.some(f => f.id === id));
+  selTest.innerHTML = ids.map(id => {
+    const fmt = aggregated.find(r => r.id === id)?.format;
+    return '<option value="' + id + '">' + id + (fmt ? ' (' + fmt + ')' : '') + '</option>';
+  }).join('');
+  let rows = [], timer = null;
+
+  // Per browser: the chosen run, or the run with the median Visual Index
+  const pick = () => {
+    const byBrowser = new Map();
+    filmstrips.filter(f => f.id === selTest.value).forEach(f => {
+      if (!byBrowser.has(f.browser)) byBrowser.set(f.browser, []);
+      byBrowser.get(f.browser).push(f);
+    });
+    return [...byBrowser.entries()].map(([browser, runs]) => {
+      if (selRun.value !== 'median') return runs.find(f => String(f.run) === selRun.value) || null;
+      const sorted = runs.slice().sort((a, b) => (a.visIndex ?? Infinity) - (b.visIndex ?? Infinity));
+      return sorted[Math.floor((sorted.length - 1) / 2)];
+    }).filter(Boolean);
+  };
+
+  const build = () => {
+    rows = pick();
+    host.innerHTML = '';
+    rows.forEach(f => {
+      const row = document.createElement('div');
+      row.className = 'film-row';
+      row.innerHTML = '<div class="film-name">' + f.browser + '<div class="small">run ' + f.run + '</div></div>'
+        + '<img class="film-now" alt="" />'
+        + '<div class="film-strip">' + f.frames.map(fr =>
+            '<figure data-t="' + fr.t + '"><img loading="lazy" src="' + fr.file + '" alt="" /><figcaption class="small">' + fr.t + ' ms</figcaption></figure>').join('') + '</div>';
+      row.querySelectorAll('figure').forEach(fig => fig.addEventListener('click', () => { slider.value = fig.dataset.t; show(); }));
+      host.appendChild(row);
+    });
+    slider.max = Math.max(0, ...rows.map(f => f.frames[f.frames.length - 1].t)) + 100;
+    show();
+  };
+
+  // Each row shows its last frame at or before the slider time
+  const show = () => {
+    const t = Number(slider.value);
+    label.textContent = t + ' ms';
+    rows.forEach((f, i) => {
+      const row = host.children[i];
+      let cur = -1;
+      f.frames.forEach((fr, j) => { if (fr.t <= t) cur = j; });
+      const now = row.querySelector('.film-now');
+      if (cur < 0) now.removeAttribute('src'); else now.src = f.frames[cur].file;
+      row.querySelectorAll('figure').forEach((fig, j) => fig.classList.toggle('on', j === cur));
+    });
+  };
+
+  const fillRuns = () => {
+    const runs = [...new Set(filmstrips.filter(f => f.id === selTest.value).map(f => f.run))].sort((a, b) => a - b);
+    selRun.innerHTML = '<option value="median">median VI</option>' + runs.map(r => '<option value="' + r + '">' + r + '</option>').join('');
+  };
+
+  const stop = () => { clearInterval(timer); timer = null; play.textContent = '▶'; };
+  play.addEventListener('click', () => {
+    if (timer) return stop();
+    if (Number(slider.value) >= Number(slider.max)) slider.value = 0;
+    play.textContent = '❚❚';
+    timer = setInterval(() => {
+      slider.value = Math.min(Number(slider.max), Number(slider.value) + 40);
+      show();
+      if (Number(slider.value) >= Number(slider.max)) stop();
+    }, 40);
+  });
+  slider.addEventListener('input', show);
+  selTest.addEventListener('change', () => { stop(); fillRuns(); build(); });
+  selRun.addEventListener('change', build);
+  fillRuns();
+  build();
+}
+
+function attachResize() {
+  window.addEventListener('resize', () => { document.querySelectorAll('.plot').forEach(el => Plotly.Plots.resize(el)); });
+}
+
+/* --------- Render all charts --------- */
+renderMeta();
+budgetPanel();
+chosenMatrix();
+metricCharts();
+paintCorrelation();
+timeCurvesChart();
+bytesChart();
+fidelityCharts();
+truncChart();
+sweepCharts();
+elementCharts();
+filmstripPanel();
+drawTable();
+attachResize();
+</script>
+</body>
+</html>`;
+}
+
+/* ------------------------ Portable Reports ------------------------
+   Every HTML report (dashboard, compare, history) is a single file that works offline: Plotly is
+   inlined from node_modules (plotly.js-dist-min; the CDN tag only when the package is missing) and
+   the dashboard's filmstrip frames and error screenshots are embedded as PNG thumbnails (data: URIs).
+   --report-format svg,png (config report.formats) also renders every visible chart to charts/<id>.svg
+   or .png with Plotly.toImage in a headless Playwright browser. The HTML report is always written.
+   Without the package the reports are not self-contained: the bench logs PLOTLY_CDN_WARNING and
+   records meta.report.selfContained = false; compare and history return selfContained: false.
+   A failed chart export is logged (bench) or returned as chartError (compare, history).
+------------------------------------------------------------------------- */
+const PLOTLY_CDN_WARNING = "plotly.js-dist-min is not installed: the report loads Plotly from the CDN and needs network access (npm install plotly.js-dist-min)";
+const PLOTLY_CDN_TAG = `<script src="https://cdn.plot.ly/plotly-2.32.0.min.js"></script>`;
+const REPORT_FORMATS = ["html", "svg", "png"];
+// Longest side of an embedded thumbnail (the filmstrip shows frames 72 px high, the current one in 200×150)
+const THUMB_MAX_SIDE = 320;
+const CHART_EXPORT_TIMEOUT_MS = 120000;
+
+let plotlyTag = null;
+async function plotlyScript() {
+  if (!plotlyTag) {
+    let src = null;
+    try { src = await fs.readFile(createRequire(import.meta.url).resolve("plotly.js-dist-min"), "utf8"); } catch {}
+    plotlyTag = src ? `<script>${src.replace(/<\/script/gi, "<\\/script")}</script>` : PLOTLY_CDN_TAG;
+  }
+  return plotlyTag;
+}
+
+// --report-format → config report.formats → html only
+function resolveReportFormats(config = {}, options = {}) {
+  const raw = options.reportFormat != null && options.reportFormat !== true ? String(options.reportFormat).split(",") : (config.report?.formats ?? ["html"]);
+  const formats = [...new Set(raw.map(f => String(f).trim().toLowerCase()).filter(Boolean))];
+  const unknown = formats.filter(f => !REPORT_FORMATS.includes(f));
+  if (unknown.length) throw new Error(`--report-format: expected ${REPORT_FORMATS.join("|")}, got "${unknown.join(",")}"`);
+  return formats;
+}
+
+async function thumbnailURI(file, maxSide = THUMB_MAX_SIDE) {
+  const buf = await fs.readFile(file);
+  const img = decodePng(buf);
+  const scale = maxSide / Math.max(img.width, img.height);
+  if (!(scale < 1)) return "data:image/png;base64," + buf.toString("base64");
+  const small = downscale(img, scale);
+  const png = new PNG({ width: small.width, height: small.height });
+  png.data.set(small.data);
+  return "data:image/png;base64," + PNG.sync.write(png).toString("base64");
+}
+
+// Copies of perRun / aggregated with frame and screenshot paths (relative to dir) replaced by
+// thumbnails; a file that cannot be read keeps its path.
+async function embedThumbnails({ perRun, aggregated }, dir) {
+  const embed = rel => thumbnailURI(path.join(dir, rel)).catch(() => rel);
+  const runs = [];
+  for (const r of perRun) {
+    if (!r.filmstrip?.frames?.length) { runs.push(r); continue; }
+    const frames = [];
+    for (const fr of r.filmstrip.frames) frames.push({ ...fr, file: await embed(fr.file) });
+    runs.push({ ...r, filmstrip: { ...r.filmstrip, frames } });
+  }
+  const rows = [];
+  for (const row of aggregated) {
+    const shots = [];
+    for (const f of row.errorScreenshots ?? []) shots.push(await embed(f));
+    rows.push(shots.length ? { ...row, errorScreenshots: shots } : row);
+  }
+  return { perRun: runs, aggregated: rows };
+}
+
+// Renders each visible, non-empty Plotly chart of an HTML report in the first installed engine
+// (chromium, firefox, webkit). Returns the written files.
+async function exportCharts(htmlFile, { formats, dir }) {
+  const wanted = formats.filter(f => f !== "html");
+  if (!wanted.length) return [];
+  let engine = null;
+  for (const e of Object.keys(ENGINES)) if (!(await browserInstallIssue({ engine: e }))) { engine = e; break; }
+  if (!engine) throw new Error("no installed Playwright browser to render charts (npx playwright install chromium)");
+  const b = await ENGINES[engine].launch({ headless: true });
+  try {
+    const images = await withTimeout((async () => {
+      const page = await b.newPage({ viewport: { width: 1400, height: 900 } });
+      await page.goto(pathToFileURL(htmlFile).href, { waitUntil: "load" });
+      return page.evaluate(async list => {
+        const out = [];
+        for (const el of document.querySelectorAll(".js-plotly-plot")) {
+          if (!el.id || !el.getClientRects().length || !el.data?.length) continue;
+          for (const format of list) {
+            out.push({ id: el.id, format, url: await window.Plotly.toImage(el, { format, width: el.clientWidth || 900, height: el.clientHeight || 400 }) });
+          }
+        }
+        return out;
+      }, wanted);
+    })(), CHART_EXPORT_TIMEOUT_MS, "chart export");
+    await fs.mkdirp(dir);
+    const files = [];
+    for (const { id, format, url } of images) {
+      const comma = url.indexOf(",");
+      const body = url.slice(0, comma).endsWith(";base64") ? Buffer.from(url.slice(comma + 1), "base64") : decodeURIComponent(url.slice(comma + 1));
+      const file = path.join(dir, `${fileSafe(id)}.${format}`);
+      await fs.writeFile(file, body);
+      files.push(file);
+    }
+    return files;
+  } finally {
+    await b.close().catch(() => {});
+  }
+}
+
+/* ------------------------ Compare (A/B) ------------------------
+   compare <dirA> <dirB>: matches the timed per-run results of two bench-results directories
+   by (browser, test id) and, per metric, reports the median delta (B − A), a bootstrapped
+   confidence interval of that delta and a two-sided Mann-Whitney U p-value. Metrics are
+   lower-is-better (a significant increase is a regression, a decrease an improvement) except
+   HIGHER_IS_BETTER, where the verdict flips. Significant = p < alpha and the CI excludes 0.
+   Directories that loaded their scenes differently (meta.capture.load) get a warning.
+------------------------------------------------------------------------- */
+const COMPARE_DEFAULTS = { alpha: 0.05, iterations: 2000 };
+// Reference fidelity scores; ΔE stays lower-is-better
+const HIGHER_IS_BETTER = new Set(["ssim", "psnr"]);
+
+// Percentile CI of median(B) − median(A), resampling each side with replacement.
+function bootstrapMedianDiff(a, b, { iterations = COMPARE_DEFAULTS.iterations, alpha = COMPARE_DEFAULTS.alpha, seed = "" } = {}) {
+  const rand = seededRandom(`bootstrap:${seed}`);
+  const resample = xs => xs.map(() => xs[Math.floor(rand() * xs.length)]);
+  const diffs = [];
+  for (let i = 0; i < iterations; i++) diffs.push(median(resample(b)) - median(resample(a)));
+  return [percentile(diffs, 100 * alpha / 2), percentile(diffs, 100 * (1 - alpha / 2))];
+}
+
+function normalCdf(z) {
+  // Abramowitz & Stegun 7.1.26 (|error| < 1.5e-7)
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Number of orderings of n1 + n2 untied values for each U (exact null distribution).
+function mannWhitneyCounts(n1, n2) {
+  let prev = Array.from({ length: n2 + 1 }, () => [1]); // n1 = 0: U is 0 for any n2
+  for (let m = 1; m <= n1; m++) {
+    const cur = [[1]];                                   // n2 = 0
+    for (let k = 1; k <= n2; k++) {
+      const counts = new Array(m * k + 1).fill(0);
+      prev[k].forEach((c, u) => { counts[u + k] += c; }); // largest value from the first sample
+      cur[k - 1].forEach((c, u) => { counts[u] += c; });  // largest value from the second sample
+      cur.push(counts);
+    }
+    prev = cur;
+  }
+  return prev[n2];
+}
+
+// Two-sided Mann-Whitney U test: exact without ties for small samples, else the normal
+// approximation with tie and continuity correction.
+function mannWhitneyU(a, b) {
+  const n1 = a.length, n2 = b.length, nAll = n1 + n2;
+  if (!n1 || !n2) return { u: null, p: null };
+  const all = a.map(v => [v, 0]).concat(b.map(v => [v, 1])).sort((x, y) => x[0] - y[0]);
+  let r1 = 0, ties = 0;
+  for (let i = 0; i < nAll;) {
+    let j = i;
+    while (j + 1 < nAll && all[j + 1][0] === all[i][0]) j++;
+    const rank = (i + j) / 2 + 1, t = j - i + 1;
+    if (t > 1) ties += t ** 3 - t;
+    for (let k = i; k <= j; k++) if (all[k][1] === 0) r1 += rank;
+    i = j + 1;
+  }
+  const u1 = r1 - n1 * (n1 + 1) / 2;
+  const u = Math.min(u1, n1 * n2 - u1);
+  if (!ties && n1 <= 20 && n2 <= 20) {
+    const counts = mannWhitneyCounts(n1, n2);
+    const total = counts.reduce((s, c) => s + c, 0);
+    const tail = counts.slice(0, Math.floor(u) + 1).reduce((s, c) => s + c, 0);
+    return { u: u1, p: Math.min(1, 2 * tail / total) };
+  }
+  const sigma = Math.sqrt(n1 * n2 / 12 * ((nAll + 1) - ties / (nAll * (nAll - 1))));
+  if (!(sigma > 0)) return { u: u1, p: 1 };
+  const z = Math.max(0, Math.abs(u1 - n1 * n2 / 2) - 0.5) / sigma;
+  return { u: u1, p: Math.min(1, 2 * (1 - normalCdf(z))) };
+}
+
+async function loadBenchDir(dir) {
+  const perRun = await fs.readJson(path.join(dir, "per-run.json"));
+  const meta = await fs.pathExists(path.join(dir, "meta.json")) ? await fs.readJson(path.join(dir, "meta.json")) : {};
+  const groups = new Map();
+  for (const r of perRun) {
+    if (r.mode === "truncated") continue;
+    const k = `${r.browser}__${r.id}`;
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(r);
+  }
+  return { dir, meta, groups };
+}
+
+function compareRuns(A, B, metricList, { alpha = COMPARE_DEFAULTS.alpha, iterations = COMPARE_DEFAULTS.iterations } = {}) {
+  const values = (runs, m) => (runs || []).filter(r => !r.error).map(r => r[m]).filter(v => v != null && Number.isFinite(Number(v))).map(Number);
+  const keys = [...new Set([...A.groups.keys(), ...B.groups.keys()])];
+  const rows = [];
+  for (const k of keys) {
+    const ra = A.groups.get(k), rb = B.groups.get(k);
+    const base = (ra || rb)[0];
+    for (const m of metricList) {
+      const a = values(ra, m), b = values(rb, m);
+      const row = { browser: base.browser, id: base.id, label: base.label ?? "", format: base.format ?? "", metric: m,
+                    n_a: a.length, n_b: b.length, median_a: median(a), median_b: median(b),
+                    delta: null, delta_pct: null, ci_lo: null, ci_hi: null, u: null, p: null, verdict: "missing" };
+      if (a.length && b.length) {
+        row.delta = row.median_b - row.median_a;
+        row.delta_pct = row.median_a ? row.delta / row.median_a : null;
+        [row.ci_lo, row.ci_hi] = bootstrapMedianDiff(a, b, { iterations, alpha, seed: `${k}:${m}` });
+        Object.assign(row, mannWhitneyU(a, b));
+        const significant = row.p < alpha && (row.ci_lo > 0 || row.ci_hi < 0);
+        const worse = HIGHER_IS_BETTER.has(m) ? row.delta < 0 : row.delta > 0;
+        row.verdict = !significant ? "unchanged" : worse ? "regression" : "improvement";
+      }
+      rows.push(row);
+    }
+  }
+  return rows;
+}
+
+function buildCompareHTML({ stamp, A, B, rows, metricList, alpha, warnings = [], plotly = PLOTLY_CDN_TAG }) {
+  const data = JSON.stringify(rows);
+  const side = X => JSON.stringify({ dir: X.dir, versions: X.meta.versions || {}, runs: X.meta.runs ?? null, load: sceneLoadOf(X.meta) });
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8" />
+<title>Progressive Image Bench – compare ${stamp}</title>
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+${plotly}
+<style>
+  :root { --card-min-h: 340px; }
+  body { font: 14px/1.4 -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,system-ui; margin: 16px; }
+  h1 { font-size: 20px; margin: 0 0 8px; }
+  .grid { display: grid; grid-template-columns: 1fr; gap: 16px; }
+  .card { padding: 12px; border: 1px solid #e3e3e3; border-radius: 10px; background: #fff; }
+  .plot { width: 100%; min-height: var(--card-min-h); }
+  .table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  .table th, .table td { border-bottom: 1px solid #eee; padding: 6px 8px; text-align: left; }
+  .small { color:#666; font-size:12px; }
+  .kv { display:flex; flex-wrap:wrap; gap:10px; margin-bottom:10px; }
+  .kv div { background:#f7f7f7; border-radius:8px; padding:6px 8px; }
+  tr.regression { background: #fdecea; }
+  tr.improvement { background: #e8f5e9; }
+  @media (min-width: 1100px) { .grid { grid-template-columns: 1fr 1fr; } }
+</style>
+</head>
+<body>
+<h1>Progressive Image Bench – A/B compare</h1>
+<div class="small">Median delta B − A, ${Math.round((1 - alpha) * 100)}% bootstrap CI, Mann-Whitney U (α = ${alpha}). Lower is better except for SSIM and PSNR.</div>
+
+<div class="card" id="meta"></div>
+<div class="grid" id="grid"></div>
+<div class="card"><table class="table" id="summary"></table></div>
+
+<script>
+const rows = ${data};
+const A = ${side(A)};
+const B = ${side(B)};
+const metricList = ${JSON.stringify(metricList)};
+const warnings = ${JSON.stringify(warnings)};
+
+function renderMeta() {
+  const line = (name, X) => '<div><b>' + name + '</b>: ' + X.dir + (X.runs ? ' • runs=' + X.runs : '') + ' • load=' + X.load + ' • '
+    + Object.entries(X.versions).map(([k, v]) => k + ': ' + v).join(' • ') + '</div>';
+  const count = v => rows.filter(r => r.verdict === v).length;
+  document.getElementById('meta').innerHTML = '<div class="kv">' + line('A', A) + line('B', B)
+    + '<div><b>Regressions</b>: ' + count('regression') + '</div><div><b>Improvements</b>: ' + count('improvement') + '</div></div>'
+    + warnings.map(w => '<div class="small">⚠ ' + w + '</div>').join('');
+}
+
+// One chart per metric: relative median delta per test, one bar per browser, CI as error bars
+function deltaCharts() {
+  const grid = document.getElementById('grid');
+  const tests = [...new Set(rows.map(r => r.id))];
+  const browsers = [...new Set(rows.map(r => r.browser))];
+  const mark = { regression: '▲', improvement: '▼', unchanged: '', missing: '–' };
+  metricList.forEach(m => {
+    const card = document.createElement('div');
+    card.className = 'card';
+    card.innerHTML = '<div id="delta_' + m + '" class="plot"></div>';
+    grid.appendChild(card);
+    const traces = browsers.map(b => {
+      const pick = tests.map(id => rows.find(r => r.browser === b && r.id === id && r.metric === m));
+      const rel = (r, v) => (r && r.median_a && v != null) ? 100 * v / r.median_a : null;
+      return {
+        x: tests, y: pick.map(r => rel(r, r && r.delta)), name: b, type: 'bar',
+        text: pick.map(r => r ? mark[r.verdict] : ''), textposition: 'outside',
+        error_y: { type: 'data', symmetric: false,
+                   array: pick.map(r => r && r.ci_hi != null ? rel(r, r.ci_hi - r.delta) : 0),
+                   arrayminus: pick.map(r => r && r.ci_lo != null ? rel(r, r.delta - r.ci_lo) : 0) },
+        customdata: pick.map(r => r ? [r.median_a, r.median_b, r.p, r.verdict] : [null, null, null, 'missing']),
+        hovertemplate: b + ' • %{x}<br>Δ %{y:.1f}%<br>A %{customdata[0]} → B %{customdata[1]}<br>p=%{customdata[2]:.3f} %{customdata[3]}<extra></extra>'
+      };
+    });
+    Plotly.newPlot('delta_' + m, traces, {
+      title: m + ' – median change B vs. A (▲ regression, ▼ improvement)',
+      barmode: 'group',
+      yaxis: { title: 'Δ %', zeroline: true },
+      margin: { t: 40, r: 10, b: 80, l: 50 }
+    }, {displaylogo:false, responsive:true});
+  });
+}
+
+function drawTable() {
+  const headers = ['browser','id','format','metric','n_a','n_b','median_a','median_b','delta','delta_%','ci_lo','ci_hi','p','verdict'];
+  const f = v => v == null ? '' : Math.abs(v) < 10 ? (+v).toFixed(3) : Math.round(v);
+  const tbl = document.getElementById('summary');
+  tbl.innerHTML = '<thead><tr>' + headers.map(h => '<th>' + h + '</th>').join('') + '</tr></thead>';
+  const tbody = document.createElement('tbody');
+  rows.forEach(r => {
+    const tr = document.createElement('tr');
+    tr.className = r.verdict;
+    [r.browser, r.id, r.format, r.metric, r.n_a, r.n_b, f(r.median_a), f(r.median_b), f(r.delta),
+     r.delta_pct == null ? '' : (100 * r.delta_pct).toFixed(1), f(r.ci_lo), f(r.ci_hi),
+     r.p == null ? '' : r.p.toFixed(3), r.verdict]
+      .forEach(v => { const td = document.createElement('td'); td.textContent = v ?? ''; tr.appendChild(td); });
+    tbody.appendChild(tr);
+  });
+  tbl.appendChild(tbody);
+}
+
+renderMeta();
+deltaCharts();
+drawTable();
+window.addEventListener('resize', () => { document.querySelectorAll('.plot').forEach(el => Plotly.Plots.resize(el)); });
+</script>
+</body>
+</html>`;
+}
+
+// options: metrics (list or "t85,t95"), alpha, iterations, out (default bench-results/compare-<stamp>).
+// Writes compare.csv/json/html and returns { outDir, rows, warnings, selfContained, chartError, files }.
+async function compareResults(dirA, dirB, options = {}) {
+  const [A, B] = await Promise.all([loadBenchDir(path.resolve(dirA)), loadBenchDir(path.resolve(dirB))]);
+  // Default metrics: thresholds present in both runs (older runs: 85/95) + Visual Index
+  const tKeysOf = X => (X.meta.thresholds || DEFAULT_THRESHOLDS).map(thresholdKey);
+  const metricList = options.metrics && options.metrics !== true
+    ? String(options.metrics).split(",").map(s => s.trim()).filter(Boolean)
+    : [...tKeysOf(A).filter(k => tKeysOf(B).includes(k)), "visIndex"];
+  const alpha = options.alpha && options.alpha !== true ? Number(options.alpha) : COMPARE_DEFAULTS.alpha;
+  const iterations = options.iterations && options.iterations !== true ? Number(options.iterations) : COMPARE_DEFAULTS.iterations;
+  if (!(alpha > 0 && alpha < 1)) throw new Error(`--alpha: expected a number in (0, 1), got "${options.alpha}"`);
+  if (!(Number.isInteger(iterations) && iterations > 0)) throw new Error(`--iterations: expected a positive integer, got "${options.iterations}"`);
+  const reportFormats = resolveReportFormats({}, options);
+
+  const rows = compareRuns(A, B, metricList, { alpha, iterations });
+  // Navigated and setContent runs (see SCENE_LOAD) do not time the same thing
+  const warnings = sceneLoadOf(A.meta) === sceneLoadOf(B.meta) ? []
+    : [`A loaded its scenes with ${sceneLoadOf(A.meta)}, B with ${sceneLoadOf(B.meta)}: only navigated times include fetching the harness page`];
+
+  const stamp = formatISO(new Date()).replace(/[:]/g, "-");
+  const outDir = path.resolve(options.out && options.out !== true ? String(options.out) : path.join(DEFAULT_OUT_DIR, `compare-${stamp}`));
+  await fs.mkdirp(outDir);
+  const headers = ["browser","id","label","format","metric","n_a","n_b","median_a","median_b","delta","delta_pct","ci_lo","ci_hi","u","p_value","verdict"];
+  const num = v => v == null ? "" : +Number(v).toFixed(4);
+  const csv = [headers.join(",")].concat(rows.map(r => [
+    r.browser, r.id, csvQ(r.label), r.format, r.metric, r.n_a, r.n_b,
+    num(r.median_a), num(r.median_b), num(r.delta), num(r.delta_pct), num(r.ci_lo), num(r.ci_hi), num(r.u), num(r.p), r.verdict
+  ].join(",")));
+  const csvPath = path.join(outDir, "compare.csv");
+  const htmlPath = path.join(outDir, "compare.html");
+  await fs.writeFile(csvPath, csv.join("\n"), "utf8");
+  const plotly = await plotlyScript();
+  const selfContained = plotly !== PLOTLY_CDN_TAG;
+  await fs.writeJson(path.join(outDir, "compare.json"), { a: A.dir, b: B.dir, alpha, iterations, metrics: metricList, warnings, selfContained, rows }, { spaces: 2 });
+  await fs.writeFile(htmlPath, buildCompareHTML({ stamp, A, B, rows, metricList, alpha, warnings, plotly }), "utf8");
+  // As in benchmark, a failed chart export keeps the written report: chartError says why
+  let chartError = null;
+  const charts = await exportCharts(htmlPath, { formats: reportFormats, dir: path.join(outDir, "charts") })
+    .catch(err => { chartError = err.message; return []; });
+  return { outDir, rows, warnings, selfContained, chartError, files: { csv: csvPath, html: htmlPath, json: path.join(outDir, "compare.json"), charts } };
+}
+
+/* ------------------------ History ------------------------
+   history [bench-results]: scans every run directory, indexes meta.json, config.used.json and
+   the timed rows of aggregated.json, and renders median metrics per browser/test over time,
+   annotated where a browser version (meta.versions) changed; each run lists how it loaded its
+   scenes (see SCENE_LOAD). Directories without
+   aggregated.json or meta.json (older script versions, compare outputs) are skipped.
+------------------------------------------------------------------------- */
+
+// Run directories are named formatISO(...) with ":" → "-", e.g. 2025-03-01T10-20-30+01-00.
+function stampToDate(name) {
+  const m = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})(Z|[+-]\d{2}-\d{2})?$/.exec(name);
+  if (!m) return null;
+  const tz = !m[5] || m[5] === "Z" ? (m[5] ?? "") : `${m[5].slice(0, 3)}:${m[5].slice(4)}`;
+  const d = new Date(`${m[1]}T${m[2]}:${m[3]}:${m[4]}${tz}`);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+async function loadHistory(root) {
+  const runs = [], skipped = [];
+  for (const name of (await fs.readdir(root)).sort()) {
+    const dir = path.join(root, name);
+    if (!(await fs.stat(dir)).isDirectory()) continue;
+    const has = f => fs.pathExists(path.join(dir, f));
+    if (!(await has("aggregated.json")) || !(await has("meta.json"))) { skipped.push(name); continue; }
+    try {
+      const meta = await fs.readJson(path.join(dir, "meta.json"));
+      const config = await has("config.used.json") ? await fs.readJson(path.join(dir, "config.used.json")) : {};
+      const aggregated = await fs.readJson(path.join(dir, "aggregated.json"));
+      const urls = Object.fromEntries((config.tests || []).map(t => [t.id, t.url]));
+      runs.push({
+        dir: name,
+        time: (stampToDate(name) ?? (await fs.stat(dir)).mtime).toISOString(),
+        versions: meta.versions || {},
+        runs: meta.runs ?? null,
+        profile: meta.network?.profile ?? null,
+        protocol: meta.network?.protocol ?? null,
+        load: sceneLoadOf(meta),
+        thresholds: meta.thresholds || DEFAULT_THRESHOLDS,
+        dashboard: await has("dashboard.html") ? `${name}/dashboard.html` : null,
+        rows: aggregated.filter(r => (r.mode ?? "timed") === "timed").map(r => ({
+          browser: r.browser, id: r.id, label: r.label ?? "", format: r.format ?? "", url: urls[r.id] ?? null,
+          n: r.dist?.count ?? null, median: r.median || {}
+        }))
+      });
+    } catch (err) {
+      skipped.push(`${name} (${err.message})`);
+    }
+  }
+  runs.sort((a, b) => a.time.localeCompare(b.time));
+  return { runs, skipped };
+}
+
+// One entry per browser whose version differs from its previous run
+function versionChanges(runs) {
+  const last = {}, changes = [];
+  for (const r of runs) {
+    for (const [browser, version] of Object.entries(r.versions)) {
+      if (last[browser] != null && last[browser] !== version) changes.push({ time: r.time, dir: r.dir, browser, from: last[browser], to: version });
+      last[browser] = version;
+    }
+  }
+  return changes;
+}
+
+function buildHistoryHTML({ runs, changes, plotly = PLOTLY_CDN_TAG }) {
+  const metricList = [...new Set(runs.flatMap(r => r.thresholds.map(thresholdKey))), "visIndex"];
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8" />
+<title>Progressive Image Bench – history</title>
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+${plotly}
+<style>
+  :root { --card-min-h: 420px; }
+  body { font: 14px/1.4 -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,system-ui; margin: 16px; }
+  h1 { font-size: 20px; margin: 0 0 8px; }
+  .card { padding: 12px; border: 1px solid #e3e3e3; border-radius: 10px; background: #fff; margin-bottom: 16px; }
+  .plot { width: 100%; min-height: var(--card-min-h); }
+  .table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  .table th, .table td { border-bottom: 1px solid #eee; padding: 6px 8px; text-align: left; }
+  .small { color:#666; font-size:12px; }
+  .ctl { margin-bottom: 6px; }
+</style>
+</head>
+<body>
+<h1>Progressive Image Bench – history</h1>
+<div class="small">${runs.length} runs • ${runs.length ? runs[0].time + " → " + runs[runs.length - 1].time : ""}</div>
+
+<div class="card">
+  <div class="ctl small">Test: <select id="hist_test"></select> Metric: <select id="hist_metric"></select></div>
+  <div id="trend" class="plot"></div>
+</div>
+<div class="card"><table class="table" id="runs"></table></div>
+
+<script>
+const runs = ${JSON.stringify(runs)};
+const changes = ${JSON.stringify(changes)};
+const metricList = ${JSON.stringify(metricList)};
+
+function trendChart() {
+  const selTest = document.getElementById('hist_test');
+  const selMetric = document.getElementById('hist_metric');
+  const ids = [...new Set(runs.flatMap(r => r.rows.map(x => x.id)))];
+  const browsers = [...new Set(runs.flatMap(r => r.rows.map(x => x.browser)))];
+  const palette = ['#1f77b4','#ff7f0e','#2ca02c','#d62728','#9467bd','#8c564b','#e377c2','#7f7f7f','#bcbd22','#17becf'];
+  selTest.innerHTML = ids.map(id => '<option>' + id + '</option>').join('');
+  selMetric.innerHTML = metricList.map(m => '<option>' + m + '</option>').join('');
+  const draw = () => {
+    const id = selTest.value, m = selMetric.value;
+    const traces = browsers.map((b, bi) => {
+      const pts = runs.map(r => ({ r, row: r.rows.find(x => x.browser === b && x.id === id) }))
+        .filter(p => p.row && p.row.median[m] != null);
+      return {
+        x: pts.map(p => p.r.time), y: pts.map(p => p.row.median[m]), name: b,
+        type: 'scatter', mode: 'lines+markers', line: { color: palette[bi % palette.length] },
+        customdata: pts.map(p => [p.r.dir, p.r.versions[b] || '', p.row.n, p.row.url || '', p.r.load]),
+        hovertemplate: b + ' %{customdata[1]}<br>%{customdata[0]}<br>' + m + ': %{y}<br>runs=%{customdata[2]} %{customdata[3]}<br>load=%{customdata[4]}<extra></extra>'
+      };
+    }).filter(t => t.x.length);
+    // Browser version changes: dashed line + label at the first run with the new version
+    const shown = changes.filter(c => traces.some(t => t.name === c.browser));
+    const shapes = shown.map(c => ({ type: 'line', xref: 'x', yref: 'paper', x0: c.time, x1: c.time, y0: 0, y1: 1,
+      line: { dash: 'dot', width: 1, color: palette[browsers.indexOf(c.browser) % palette.length] } }));
+    const annotations = shown.map((c, i) => ({ x: c.time, xref: 'x', yref: 'paper', y: 1 - (i % 4) * 0.06, yanchor: 'top',
+      text: c.browser + ' ' + c.from + ' → ' + c.to, showarrow: false, font: { size: 10 }, bgcolor: 'rgba(255,255,255,0.8)' }));
+    Plotly.react('trend', traces, {
+      title: 'Median ' + m + ' over time – ' + id,
+      xaxis: { title: 'run', type: 'date' },
+      yaxis: { title: m === 'visIndex' ? 'index' : 'ms', rangemode: 'tozero' },
+      shapes, annotations,
+      margin: { t: 40, r: 10, b: 50, l: 50 }
+    }, {displaylogo:false, responsive:true});
+  };
+  selTest.addEventListener('change', draw);
+  selMetric.addEventListener('change', draw);
+  draw();
+}
+
+function drawRuns() {
+  const tbl = document.getElementById('runs');
+  tbl.innerHTML = '<thead><tr>' + ['run','versions','runs','profile','protocol','load','tests'].map(h => '<th>' + h + '</th>').join('') + '</tr></thead>';
+  const tbody = document.createElement('tbody');
+  runs.slice().reverse().forEach(r => {
+    const tr = document.createElement('tr');
+    const link = r.dashboard ? '<a href="' + r.dashboard + '">' + r.dir + '</a>' : r.dir;
+    tr.innerHTML = '<td>' + link + '</td>'
+      + [Object.entries(r.versions).map(([k, v]) => k + ': ' + v).join(' • '), r.runs, r.profile, r.protocol, r.load, new Set(r.rows.map(x => x.id)).size]
+          .map(v => '<td>' + (v ?? '') + '</td>').join('');
+    tbody.appendChild(tr);
+  });
+  tbl.appendChild(tbody);
+}
+
+trendChart();
+drawRuns();
+window.addEventListener('resize', () => Plotly.Plots.resize(document.getElementById('trend')));
+</script>
+</body>
+</html>`;
+}
+
+// options: out (default: the scanned directory). Writes history.json/html and returns
+// { runs, changes, skipped, selfContained, chartError, files } (see Portable Reports).
+async function buildHistory(dir = DEFAULT_OUT_DIR, options = {}) {
+  const root = path.resolve(dir);
+  if (!(await fs.pathExists(root))) throw new Error(`history: ${root} does not exist`);
+  const reportFormats = resolveReportFormats({}, options);
+  const { runs, skipped } = await loadHistory(root);
+  if (!runs.length) throw new Error(`history: no run directories with aggregated.json and meta.json under ${root}`);
+  const changes = versionChanges(runs);
+
+  const outDir = path.resolve(options.out && options.out !== true ? String(options.out) : root);
+  await fs.mkdirp(outDir);
+  // Dashboard links are relative to the scanned root
+  if (outDir !== root) runs.forEach(r => { if (r.dashboard) r.dashboard = path.relative(outDir, path.join(root, r.dashboard)).split(path.sep).join("/"); });
+  const indexPath = path.join(outDir, "history.json");
+  const htmlPath = path.join(outDir, "history.html");
+  const plotly = await plotlyScript();
+  const selfContained = plotly !== PLOTLY_CDN_TAG;
+  await fs.writeJson(indexPath, { root, runs, versionChanges: changes, skipped, selfContained }, { spaces: 2 });
+  await fs.writeFile(htmlPath, buildHistoryHTML({ runs, changes, plotly }), "utf8");
+  let chartError = null;
+  const charts = await exportCharts(htmlPath, { formats: reportFormats, dir: path.join(outDir, "charts") })
+    .catch(err => { chartError = err.message; return []; });
+  return { runs, changes, skipped, selfContained, chartError, files: { json: indexPath, html: htmlPath, charts } };
+}
+
+/* ------------------------ Resume & Retry ------------------------ */
+// Rejects after ms; the late promise's own rejection is swallowed. With a controller the timeout
+// also aborts it, so work that checks the signal (see runOne) stops instead of running on.
+function withTimeout(promise, ms, what, controller = null) {
+  let timer;
+  promise.catch(() => {});
+  return Promise.race([
+    promise.finally(() => clearTimeout(timer)),
+    new Promise((_, reject) => {
+      timer = setTimeout(() => { const err = new Error(`${what} timed out after ${ms} ms`); controller?.abort(err); reject(err); }, ms);
+    })
+  ]);
+}
+// How long a retry waits for a timed-out attempt to wind down (its page is already closed)
+const ABANDON_WAIT_MS = 10000;
+
+// A per-run JSON counts as done when it parses, belongs to this (browser, test, run) and has no error;
+// failed runs are run again on --resume.
+async function readValidRun(file, { browser, id, run, mode = "timed" }) {
+  const r = await fs.readJson(file).catch(() => null);
+  if (!r || r.error || r.browser !== browser || r.id !== id || r.run !== run) return null;
+  if (mode === "truncated" ? !(r.mode === "truncated" && Array.isArray(r.points)) : (r.mode != null || !r.capture)) return null;
+  return r;
+}
+
+// Everything that changes what a run measures, CLI flags folded in. Written to config.used.json as
+// $measured (the schema skips "$" keys); --resume refuses to mix runs whose settings differ.
+function measurementSettings(config, options = {}) {
+  const flag = v => v != null && v !== true ? String(v) : null;
+  return {
+    tests: config.tests ?? [],
+    browsers: resolveBrowsers(config, options),
+    thresholds: resolveThresholds(config),
+    render: config.render ?? {},
+    network: { ...(config.network ?? {}), profile: flag(options.profile) ?? config.network?.profile ?? null,
+               protocol: flag(options.protocol) ?? config.network?.server?.protocol ?? "http1" },
+    capture: flag(options.capture) ?? config.capture?.backend ?? "screenshot",
+    trace: options.trace != null ? parseBool(options.trace) : (config.metrics?.trace ?? false),
+    reference: flag(options.reference) ?? config.metrics?.reference ?? null,
+    compareScale: [Number(options.compareScale), Number(config.metrics?.compareScale), 1].find(v => Number.isFinite(v) && v > 0 && v <= 1),
+    truncation: resolveTruncation(config, options)
+  };
+}
+
+// Keys of measurementSettings that differ; a directory from before $measured is judged by its config alone.
+function settingsChanged(used, config, options) {
+  const before = used.$measured ?? measurementSettings(used), now = measurementSettings(config, options);
+  return Object.keys(now).filter(k => JSON.stringify(before[k] ?? null) !== JSON.stringify(now[k] ?? null));
+}
+
+/* ------------------------ Aggregation ------------------------ */
+// Pure: per-run results (and truncation sweeps) → one row per (browser, test) and mode, as written
+// to aggregated.json: median/p10/p90 of every metric, flags, errors, per-element medians.
+function aggregate(perRun, truncated = [], { thresholds = DEFAULT_THRESHOLDS } = {}) {
+  const metrics = metricKeys(thresholds);
+  const groups = new Map();
+  for (const r of perRun) {
+    const k = `${r.browser}__${r.id}`;
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(r);
+  }
 
-    // Build x/y arrays: for each test ID, append that ID once per sample value
-    const x = [];
-    const y = [];
-    for (const id of testOrder) {
-      const row = rows.find(r => r.id === id);
-      const vals = (row && row.dist && row.dist[metric]) ? row.dist[metric] : [];
-      for (let i = 0; i < vals.length; i++) {
-        x.push(id);
-        y.push(vals[i]);
-      }
+  const elementMetrics = elementMetricKeys(thresholds);
+  const aggregated = [];
+  for (const [, arr] of groups.entries()) {
+    const base = arr[0];
+    const errs = arr.filter(x => x.error).map(x => x.error);
+    const ok = arr.filter(x => !x.error);
+
+    const dist = Object.fromEntries(metrics.all.map(m => [m, ok.map(x => x[m]).filter(v => v != null && Number.isFinite(Number(v))).map(Number)]));
+    // Decoded size as reported by the browser vs. the probed header dimensions
+    const natural = ok.find(x => x.natural)?.natural ?? null;
+    const flags = [...(base.probe?.flags || [])];
+    if (natural && natural.width === 0) flags.push("browser did not decode the image (naturalWidth 0)");
+    else if (natural && base.probe?.width && (natural.width !== base.probe.width || natural.height !== base.probe.height)) {
+      flags.push(`browser reports ${natural.width}x${natural.height}, header says ${base.probe.width}x${base.probe.height}`);
     }
+    // Candidate/variant the server sent: the most common one across runs
+    const fetchedRuns = ok.map(x => x.fetched).filter(Boolean);
+    const fetchedKeys = fetchedRuns.map(f => `${f.file ?? f.url} (${f.contentType})`);
+    const variants = [...new Set(fetchedKeys)];
+    const common = variants.sort((a, b) => fetchedKeys.filter(k => k === b).length - fetchedKeys.filter(k => k === a).length)[0];
+    const fetched = common ? { ...fetchedRuns[fetchedKeys.indexOf(common)], runs: fetchedKeys.filter(k => k === common).length, variants: variants.length } : null;
+    if (variants.length > 1) flags.push(`runs fetched different variants: ${variants.join(", ")}`);
+    const decodeFailed = ok.filter(x => x.decodeFailed).length;
+    if (decodeFailed) flags.push(`img.decode() rejected in ${decodeFailed} of ${ok.length} runs`);
+    const skipped = ok.find(x => x.traceSkipped);
+    if (skipped) flags.push(`bytes not correlated: ${skipped.traceSkipped}`);
+    // In the single-image harness the image itself should be the LCP element
+    const lcpOther = [...new Set(ok.filter(x => x.lcp && x.type !== "page" && x.lcp.element !== "bench").map(x => x.lcp.element))];
+    if (lcpOther.length) flags.push(`LCP element is ${lcpOther.join("/")}, not the image`);
+    const scaleOffRun = ok.find(x => x.scaleCheck && !x.scaleCheck.ok);
+    if (scaleOffRun) flags.push(`compareScale ${scaleOffRun.scaleCheck.scale} is off vs. full resolution: ${scaleOff(scaleOffRun.scaleCheck)}`);
+    const stat = fn => Object.fromEntries(metrics.all.map(m => [m, fn(dist[m])]));
 
-    return {
-      x,
-      y,
-      name: b,
-      type: 'box',
-      boxpoints: 'outliers',
-      offsetgroup: b,     // align groups consistently across categories
-      legendgroup: b,
-      showlegend: true,
-      hovertemplate: 'Browser: ' + b + '<br>Test: %{x}<br>' + metric + ': %{y}<extra></extra>'
-    };
+    aggregated.push({
+      mode: "timed",
+      browser: base.browser,
+      engine: base.engine,
+      browser_version: base.browser_version,
+      id: base.id,
+      label: base.label,
+      format: base.format,
+      notes: base.notes,
+      type: base.type ?? "image",
+      profile: base.profile ?? null,
+      encoding: base.encoding ?? null,
+      probe: base.probe ?? null,
+      natural,
+      fetched,
+      elements: aggregateElements(ok, elementMetrics),
+      flags,
+      fileBytes: ok.find(x => x.fileBytes != null)?.fileBytes ?? base.encoding?.bytes ?? base.probe?.bytes ?? null,
+      capture: {
+        backend: [...new Set(ok.map(x => x.capture?.backend).filter(Boolean))].join("+") || null,
+        fps: median(ok.map(x => x.capture?.fps).filter(v => Number.isFinite(v)))
+      },
+      dist: { count: arr.length, ...dist },
+      median: stat(median),
+      p10:    stat(a => percentile(a, 10)),
+      p90:    stat(a => percentile(a, 90)),
+      errors: errs,
+      errorScreenshots: arr.filter(x => x.error && x.errorScreenshot).map(x => x.errorScreenshot),
+      retried: ok.filter(x => x.failures?.length).length
+    });
+  }
+
+  // Truncation rows: one quality-vs-bytes curve per (browser, test), median over sweep runs
+  const truncGroups = new Map();
+  for (const r of truncated) {
+    const k = `${r.browser}__${r.id}`;
+    if (!truncGroups.has(k)) truncGroups.set(k, []);
+    truncGroups.get(k).push(r);
+  }
+  for (const [, arr] of truncGroups.entries()) {
+    const base = arr[0];
+    const ok = arr.filter(x => !x.error);
+    const pcts = [...new Set(ok.flatMap(x => x.points.map(p => p.pct)))].sort((a, b) => a - b);
+    const curve = pcts.map(pct => {
+      const pts = ok.map(x => x.points.find(p => p.pct === pct)).filter(Boolean);
+      const q = pts.map(p => p.quality);
+      return { pct, fraction: median(pts.map(p => p.fraction)), bytes: median(pts.map(p => p.bytes)), quality: median(q), p10: percentile(q, 10), p90: percentile(q, 90), n: q.length };
+    });
+    aggregated.push({
+      mode: "truncated",
+      browser: base.browser,
+      engine: base.engine,
+      browser_version: base.browser_version,
+      id: base.id,
+      label: base.label,
+      format: base.format,
+      notes: base.notes,
+      fileBytes: ok[0]?.fileBytes ?? null,
+      curve,
+      runs: arr.length,
+      errors: arr.filter(x => x.error).map(x => x.error)
+    });
+  }
+
+  return aggregated;
+}
+
+// Page elements: pixel and byte metrics of their own box/request, plus their element timing
+function elementMetricKeys(thresholds = DEFAULT_THRESHOLDS) {
+  return metricKeys(thresholds).all.filter(m => !FIDELITY_METRICS.includes(m) && !DECODE_METRICS.includes(m) && (m === "tElement" || !PAINT_METRICS.includes(m)));
+}
+
+/* ------------------------ Exports ------------------------
+   Machine-readable outputs next to summary.csv, selected with --export md,junit,ndjson (config
+   report.exports). All are pure functions of what the CSV writer uses:
+     md      summary.md — timed rows of aggregated as a Markdown table (PR comments): median and
+             p10–p90 of every threshold, median Visual Index, ok/total runs, errors, failed
+             budgets and flags.
+     junit   junit.xml — one <testsuite> per browser, one <testcase> per (browser, test): <error>
+             when runs errored, <failure> when the image was not decoded, never reached the last
+             threshold or is over budget; time = median of the last threshold in seconds, medians
+             as <properties>.
+     ndjson  runs.ndjson — one JSON object per timed run (perRun), scalar fields and metrics only.
+------------------------------------------------------------------------- */
+const EXPORT_FORMATS = ["md", "junit", "ndjson"];
+const EXPORT_FILES = { md: "summary.md", junit: "junit.xml", ndjson: "runs.ndjson" };
+
+// --export → config report.exports → none
+function resolveExports(config = {}, options = {}) {
+  const raw = options.export != null && options.export !== true ? String(options.export).split(",") : (config.report?.exports ?? []);
+  const formats = [...new Set(raw.map(f => String(f).trim().toLowerCase()).filter(Boolean))];
+  const unknown = formats.filter(f => !EXPORT_FORMATS.includes(f));
+  if (unknown.length) throw new Error(`--export: expected ${EXPORT_FORMATS.join("|")}, got "${unknown.join(",")}"`);
+  return formats;
+}
+
+// Playwright error messages carry ANSI colors
+const stripAnsi = v => String(v ?? "").replace(/\x1b\[[0-9;]*m/g, "");
+const mdCell = v => stripAnsi(v).replace(/\|/g, "\\|").replace(/</g, "&lt;").replace(/\s*\n\s*/g, " ");
+// XML 1.0 allows no control characters besides tab and newlines
+const xmlQ = v => stripAnsi(v).replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, "")
+  .replace(/[<>&"']/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+const okRuns = r => r.dist.count - (r.errors?.length ?? 0);
+// Failed checks attached by the benchmark (see Budgets)
+const overBudget = r => (r.budgets ?? []).filter(c => !c.ok);
+
+function markdownSummary(aggregated, { thresholds = DEFAULT_THRESHOLDS, title = "Progressive Image Bench" } = {}) {
+  const { tKeys } = metricKeys(thresholds);
+  const ms = v => v == null ? "–" : n(v);
+  const range = (r, m) => r.p10[m] == null ? "" : ` (${ms(r.p10[m])}–${ms(r.p90[m])})`;
+  const head = ["Browser", "Test", "Format", ...tKeys.map(k => `${k} ms (p10–p90)`), "Visual Index", "Runs", "Notes"];
+  const lines = [`### ${title}`, "", `| ${head.join(" | ")} |`, `|${head.map((h, i) => i >= 3 && i < head.length - 1 ? " ---: " : " --- ").join("|")}|`];
+  for (const r of aggregated.filter(r => r.mode === "timed")) {
+    const notes = [...(r.errors?.length ? [`${r.errors.length} error${r.errors.length === 1 ? "" : "s"}: ${[...new Set(r.errors)].join("; ")}`] : []),
+      ...overBudget(r).map(c => `over budget: ${budgetLabel(c)}`), ...r.flags];
+    const cells = [r.browser, r.id, r.format, ...tKeys.map(k => ms(r.median[k]) + range(r, k)),
+      r.median.visIndex == null ? "–" : r.median.visIndex.toFixed(3), `${okRuns(r)}/${r.dist.count}`, notes.join("; ")];
+    lines.push(`| ${cells.map(mdCell).join(" | ")} |`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+function junitReport(aggregated, { thresholds = DEFAULT_THRESHOLDS, name = "progressive-image-bench" } = {}) {
+  const { tKeys } = metricKeys(thresholds);
+  const last = tKeys[tKeys.length - 1];
+  const rows = aggregated.filter(r => r.mode === "timed");
+  const suites = [...new Set(rows.map(r => r.browser))].map(browser => {
+    const cases = rows.filter(r => r.browser === browser).map(r => {
+      const errored = r.errors?.length ?? 0;
+      const undecoded = r.natural?.width === 0;
+      const failure = [undecoded ? "browser did not decode the image (naturalWidth 0)"
+        : okRuns(r) > 0 && r.median[last] == null ? `no run reached ${last}` : null,
+        ...overBudget(r).map(c => `over budget: ${budgetLabel(c)}`)].filter(Boolean).join("; ") || null;
+      const props = [["format", r.format], ["browser_version", r.browser_version], ["n_runs", r.dist.count],
+        ...[...tKeys, "visIndex"].map(m => [`median_${m}`, r.median[m]])].filter(([, v]) => v != null && v !== "");
+      return {
+        errored: errored > 0, failed: failure != null,
+        xml: `    <testcase classname="${xmlQ(browser)}" name="${xmlQ(r.id)}" time="${((r.median[last] ?? 0) / 1000).toFixed(3)}">\n` +
+          `      <properties>\n${props.map(([k, v]) => `        <property name="${k}" value="${xmlQ(v)}"/>`).join("\n")}\n      </properties>\n` +
+          (errored ? `      <error message="${xmlQ(`${errored} of ${r.dist.count} runs failed`)}">${xmlQ(r.errors.join("\n"))}</error>\n` : "") +
+          (failure ? `      <failure message="${xmlQ(failure)}"/>\n` : "") +
+          (r.flags.length ? `      <system-out>${xmlQ(r.flags.join("\n"))}</system-out>\n` : "") +
+          `    </testcase>`
+      };
+    });
+    const count = k => cases.filter(c => c[k]).length;
+    return { tests: cases.length, failures: count("failed"), errors: count("errored"),
+      xml: `  <testsuite name="${xmlQ(browser)}" tests="${cases.length}" failures="${count("failed")}" errors="${count("errored")}">\n${cases.map(c => c.xml).join("\n")}\n  </testsuite>` };
   });
+  const total = k => suites.reduce((s, x) => s + x[k], 0);
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="${xmlQ(name)}" tests="${total("tests")}" failures="${total("failures")}" errors="${total("errors")}">\n` +
+    suites.map(s => s.xml).join("\n") + `\n</testsuites>\n`;
+}
 
-  const isVI = metric === 'visIndex';
-  const layout = {
-    title,
-    boxmode: 'group',      // <- key for side-by-side per category
-    xaxis: {
-      title: 'Test ID',
-      type: 'category',
-      categoryarray: testOrder,
-      categoryorder: 'array'
-    },
-    yaxis: {
-      title: isVI ? 'index' : 'ms',
-      rangemode: 'tozero',
-      tickformat: isVI ? '.3f' : undefined
-    },
-    margin: { t: 40, r: 10, b: 60, l: 50 }
-  };
+// Timed runs only; nested data (samples, timelines, traces) is left out, metrics are null when missing.
+function ndjsonRuns(perRun, { thresholds = DEFAULT_THRESHOLDS, stamp = null } = {}) {
+  const { all } = metricKeys(thresholds);
+  return perRun.filter(r => r.mode == null).map(r => JSON.stringify({
+    stamp, browser: r.browser, browser_version: r.browser_version ?? null, engine: r.engine ?? null,
+    id: r.id, label: r.label ?? "", format: r.format ?? "", type: r.type ?? "image", profile: r.profile ?? null,
+    run: r.run, attempts: r.attempts ?? null, error: r.error == null ? null : stripAnsi(r.error),
+    fileBytes: r.fileBytes ?? null, capture_backend: r.capture?.backend ?? null, fps: r.capture?.fps ?? null,
+    ...Object.fromEntries(all.map(m => [m, r[m] ?? null]))
+  }) + "\n").join("");
+}
 
-  Plotly.newPlot(elId, traces, layout, {
-    displaylogo: false,
-    responsive: true,
-    useResizeHandler: true
+/* ------------------------ Budgets ------------------------
+   config.budgets gates a run on its aggregated results:
+     { "maxErrorRate": 0.1,
+       "rules": [ { "test": "avif-*", "format": "avif", "browser": "*", "t95": { "median": 1500, "p90": 2500 },
+                    "visIndex": { "median": 0.35 } } ] }
+   A rule applies to every timed (browser, test) row whose id, format and browser match its
+   test/format/browser patterns (* and ? wildcards; a missing pattern matches anything). Limits are
+   maxima on the median/p90 of a threshold key (t85, t95, … per metrics.thresholds) or visIndex; a
+   missing value (no successful run reached it) exceeds every limit. maxErrorRate is the share of
+   timed runs and truncation sweeps that may error (default 0, so a single errored run fails the
+   gate; CLI --max-error-rate). Nothing is checked without a budgets section or the flag. Results go to the aggregated rows (budgets: the checks of that row),
+   meta.budgets, the dashboard, the JUnit/Markdown exports and the CLI exit code (see BUDGET_EXIT).
+------------------------------------------------------------------------- */
+const BUDGET_STATS = ["median", "p90"];
+const BUDGET_MATCH = ["test", "format", "browser"];
+// CLI exit codes: budget exceeded, too many errored runs (takes precedence)
+const BUDGET_EXIT = { budget: 2, errors: 3 };
+
+const budgetMetrics = thresholds => [...metricKeys(thresholds).tKeys, "visIndex"];
+const globRe = pattern => new RegExp("^" + String(pattern).replace(/[.+^$()|[\]{}\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".") + "$");
+// --max-error-rate → config budgets.maxErrorRate → 0; null when neither asks for budgets.
+// A bare flag (no value) is an error, not ignored.
+function resolveBudgets(config = {}, options = {}) {
+  const flag = options.maxErrorRate != null;
+  if (!config.budgets && !flag) return null;
+  const maxErrorRate = flag ? (options.maxErrorRate === true || options.maxErrorRate === "" ? NaN : Number(options.maxErrorRate)) : (config.budgets?.maxErrorRate ?? 0);
+  if (!(maxErrorRate >= 0 && maxErrorRate <= 1)) {
+    throw new Error(`--max-error-rate: expected a fraction in [0, 1], got ${options.maxErrorRate === true ? "no value" : `"${options.maxErrorRate}"`}`);
+  }
+  return { maxErrorRate, rules: config.budgets?.rules ?? [] };
+}
+
+const budgetLabel = c => `${c.metric} ${c.stat} ${c.value == null ? "missing" : c.metric === "visIndex" ? Number(c.value).toFixed(3) : n(c.value)} ${c.ok ? "<=" : ">"} ${c.limit}`;
+
+// Pure: → { ok, checks: [{ browser, id, format, rule, metric, stat, limit, value, ok }], errorRate, unmatched }
+function evaluateBudgets(aggregated, budgets, { thresholds = DEFAULT_THRESHOLDS } = {}) {
+  const metrics = budgetMetrics(thresholds);
+  const rows = aggregated.filter(r => (r.mode ?? "timed") === "timed");
+  const rules = budgets?.rules ?? [];
+  const checks = [], unmatched = [];
+  rules.forEach((rule, i) => {
+    const match = BUDGET_MATCH.map(k => [k === "test" ? "id" : k, globRe(rule[k] ?? "*")]);
+    const hits = rows.filter(r => match.every(([k, re]) => re.test(String(r[k] ?? ""))));
+    if (!hits.length) unmatched.push(i);
+    for (const r of hits) for (const metric of metrics) for (const stat of BUDGET_STATS) {
+      const limit = rule[metric]?.[stat];
+      if (limit == null) continue;
+      const value = r[stat]?.[metric] ?? null;
+      checks.push({ browser: r.browser, id: r.id, format: r.format, rule: i, metric, stat, limit, value, ok: value != null && value <= limit });
+    }
   });
+  // Errored runs count timed runs and truncation sweeps alike (one sweep = one run)
+  const counted = aggregated.filter(r => (r.mode ?? "timed") === "timed" || r.mode === "truncated");
+  const total = counted.reduce((s, r) => s + (r.mode === "truncated" ? r.runs ?? r.errors?.length ?? 0 : r.dist.count), 0);
+  const errored = counted.reduce((s, r) => s + (r.errors?.length ?? 0), 0);
+  const max = budgets?.maxErrorRate ?? 0;
+  const rate = total ? errored / total : 0;
+  const errorRate = { errored, total, rate: +rate.toFixed(4), max, ok: rate <= max };
+  return { ok: errorRate.ok && checks.every(c => c.ok), checks, errorRate, unmatched };
 }
 
+// 0 when everything passed (or nothing was checked), else a BUDGET_EXIT code
+const budgetExitCode = result => !result || result.ok ? 0 : result.errorRate.ok ? BUDGET_EXIT.budget : BUDGET_EXIT.errors;
 
-  const isVI = metric === 'visIndex';
-  const layout = {
-    title,
-    boxmode: 'group',            // side-by-side per x category
-    xaxis: { title: 'Test ID', categoryarray: testOrder, categoryorder: 'array', type: 'category' },
-    yaxis: { title: isVI ? 'index' : 'ms', rangemode:'tozero', tickformat: isVI ? '.3f' : undefined },
-    margin: { t: 40, r: 10, b: 60, l: 50 }
-  };
-  Plotly.newPlot(elId, traces, layout, {displaylogo:false, responsive:true, useResizeHandler:true});
+// Pass/fail table for the log, one line per check
+function budgetTable({ checks, errorRate }) {
+  const w = k => Math.max(...checks.map(c => String(c[k]).length));
+  const failed = checks.filter(c => !c.ok).length;
+  return [`Budgets: ${checks.length - failed}/${checks.length} passed; ${errorRate.errored}/${errorRate.total} runs errored ` +
+          `(${(100 * errorRate.rate).toFixed(1)}%, max ${(100 * errorRate.max).toFixed(1)}%)${errorRate.ok ? "" : " – TOO MANY ERRORS"}`,
+    ...checks.map(c => `  ${c.ok ? "pass" : "FAIL"}  ${c.browser.padEnd(w("browser"))}  ${c.id.padEnd(w("id"))}  ${budgetLabel(c)}`)];
 }
 
-function drawTable() {
-  const headers = ["browser","browser_version","id","label","format",
-                   "median_t85","p10_t85","p90_t85",
-                   "median_t95","p10_t95","p90_t95",
-                   "median_visIndex","p10_visIndex","p90_visIndex",
-                   "notes","n_runs","errors"];
-  const tbl = document.getElementById('summary');
-  const thead = document.createElement('thead'); const trh = document.createElement('tr');
-  headers.forEach(h => { const th = document.createElement('th'); th.textContent = h; trh.appendChild(th); });
-  thead.appendChild(trh);
-  const tbody = document.createElement('tbody');
+/* ------------------------ Config Validation ------------------------
+   validateConfig(config, { root }) checks bench.config.json before anything is launched:
+   a schema pass (types, ranges, enums, unknown keys with a "did you mean") and a semantic pass
+   (duplicate ids/names, per-type required fields, profile names, and every local file a test
+   loads — url, grid/images, srcset/sources, template, reference — must exist under --root;
+   references must also decode as PNGs).
+   Returns [{ level: "error"|"warning", path: "tests[3].url", message }]; runBenchmark refuses to
+   start on errors. Keys starting with "$" or "_" are left alone (e.g. "$schema", "_comment").
+------------------------------------------------------------------------- */
+const T = {
+  num: (o = {}) => ({ type: "number", ...o }),
+  int: (o = {}) => ({ type: "number", int: true, ...o }),
+  str: (o = {}) => ({ type: "string", ...o }),
+  bool: () => ({ type: "boolean" }),
+  arr: (items, o = {}) => ({ type: "array", items, ...o }),
+  obj: (keys, o = {}) => ({ type: "object", keys, ...o }),
+  map: values => ({ type: "object", keys: {}, values }),
+  oneOf: (...alts) => ({ oneOf: alts }),
+};
 
-  const byBrowser = {};
-  aggregated.forEach(r => { (byBrowser[r.browser] ||= []).push(r); });
-  Object.keys(byBrowser).sort().forEach(b => {
-    const rows = byBrowser[b].slice().sort((a,b) => testOrder.indexOf(a.id) - testOrder.indexOf(b.id));
-    rows.forEach(r => {
-      const tr = document.createElement('tr');
-      const row = [
-        r.browser, r.browser_version, r.id, r.label, r.format,
-        round(r.median.t85), round(r.p10.t85), round(r.p90.t85),
-        round(r.median.t95), round(r.p10.t95), round(r.p90.t95),
-        fmt3(r.median.visIndex), fmt3(r.p10.visIndex), fmt3(r.p90.visIndex),
-        r.notes || "", r.dist.count, (r.errors||[]).join(" | ")
-      ];
-      row.forEach(v => { const td = document.createElement('td'); td.textContent = v ?? ""; tr.appendChild(td); });
-      tbody.appendChild(tr);
+const typeOf = v => v === null ? "null" : Array.isArray(v) ? "array" : typeof v;
+const article = t => (/^[aeio]/.test(t) ? "an " : "a ") + t;
+const shown = v => typeof v === "string" ? JSON.stringify(v) : typeOf(v) === "object" || typeOf(v) === "array" ? article(typeOf(v)) : String(v);
+const NON_EMPTY = { pattern: /\S/, hint: "a non-empty string" };
+const joinPath = (at, key) => at ? `${at}.${key}` : key;
+
+const PROFILE_SCHEMA = T.obj({
+  downKbps: T.num({ gt: 0 }), rttMs: T.num({ min: 0 }), ttfbMs: T.num({ min: 0 }), jitterMs: T.num({ min: 0 }),
+  burstBytes: T.int({ min: 1 }), stallEveryMs: T.num({ gt: 0 }), stallMs: T.num({ min: 0 })
+});
+const BROWSER_SCHEMA = T.oneOf(T.str({ enum: Object.keys(ENGINES) }), T.obj({
+  name: T.str(NON_EMPTY), engine: T.str({ enum: Object.keys(ENGINES) }), channel: T.str(),
+  headless: T.oneOf(T.bool(), T.str()), executablePath: T.str(), args: T.arr(T.str())
+}));
+const TEST_SCHEMA = T.obj({
+  id: T.str(NON_EMPTY), label: T.str(), notes: T.str(), source: T.str(),
+  format: T.str({ enum: Object.keys(CONTAINER_TYPES), level: "warning" }),
+  type: T.str({ enum: ["image", "page", "picture"] }),
+  url: T.str(NON_EMPTY), profile: T.str(), reference: T.str(), negotiate: T.bool(),
+  grid: T.obj({ url: T.str(NON_EMPTY), count: T.int({ min: 1 }), columns: T.int({ min: 1 }) }, { required: ["url"] }),
+  images: T.arr(T.obj({ url: T.str(NON_EMPTY), layout: T.str({ enum: PAGE_LAYOUTS }), name: T.str() }, { required: ["url"] }), { minItems: 1 }),
+  columns: T.int({ min: 1 }), template: T.str(NON_EMPTY),
+  srcset: T.str(), sizes: T.str(),
+  sources: T.arr(T.obj({ type: T.str(), srcset: T.str(NON_EMPTY), media: T.str(), sizes: T.str() }, { required: ["srcset"] })),
+  variant: T.str(), quality: T.num(), effort: T.num(), bytes: T.int({ min: 0 })
+}, { required: ["id"] });
+// Rule keys other than the patterns are metric names (checked against metrics.thresholds in validateConfig)
+const BUDGET_RULE_SCHEMA = T.obj({ test: T.str(NON_EMPTY), format: T.str(NON_EMPTY), browser: T.str(NON_EMPTY) },
+  { values: T.obj({ median: T.num({ min: 0 }), p90: T.num({ min: 0 }) }) });
+
+const CONFIG_SCHEMA = T.obj({
+  render: T.obj({ bg: T.str(), fit: T.str({ enum: ["contain", "cover", "fill", "none", "scale-down"] }) }),
+  network: T.obj({
+    throttle: T.bool(), latency: T.num({ min: 0 }), downKbps: T.num({ gt: 0 }), upKbps: T.num({ gt: 0 }),
+    seed: T.oneOf(T.num(), T.str()),
+    server: T.obj({
+      chunkBytes: T.int({ min: 1 }), chunkDelayMs: T.num({ min: 0 }), protocol: T.str({ enum: PROTOCOLS }),
+      certFile: T.str(), keyFile: T.str(), negotiate: T.oneOf(T.bool(), T.arr(T.str({ pattern: /^[a-z0-9]+$/, hint: "a file extension (avif)" }), { minItems: 1 }))
+    }),
+    profile: T.str(), profiles: T.map(PROFILE_SCHEMA)
+  }),
+  runs: T.int({ min: 1 }), retries: T.int({ min: 0 }), runTimeoutMs: T.num({ gt: 0 }),
+  metrics: T.obj({
+    thresholds: T.arr(T.num({ gt: 0, max: 1 }), { minItems: 1 }), reference: T.str(), trace: T.bool(),
+    workers: T.int({ min: 0 }), compareScale: T.num({ gt: 0, max: 1 }),
+    compareTolerance: T.obj({ ms: T.num({ min: 0 }), visIndex: T.num({ min: 0 }) })
+  }),
+  capture: T.obj({ backend: T.str({ enum: CAPTURE_BACKENDS }), keepVideo: T.bool(), filmstrip: T.bool() }),
+  truncation: T.obj({ steps: T.arr(T.num({ min: 0, max: 100 }), { minItems: 1 }), settleMs: T.num({ min: 0 }), runs: T.int({ min: 1 }), only: T.bool(), enabled: T.bool() }),
+  report: T.obj({ formats: T.arr(T.str({ enum: REPORT_FORMATS })), exports: T.arr(T.str({ enum: EXPORT_FORMATS })) }),
+  budgets: T.obj({ maxErrorRate: T.num({ min: 0, max: 1 }), rules: T.arr(BUDGET_RULE_SCHEMA) }),
+  browsers: T.arr(BROWSER_SCHEMA),
+  tests: T.arr(TEST_SCHEMA, { minItems: 1 })
+}, { required: ["tests"] });
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function didYouMean(key, known) {
+  const best = known.map(k => [k, editDistance(key.toLowerCase(), k.toLowerCase())]).sort((x, y) => x[1] - y[1])[0];
+  return best && best[1] <= Math.max(1, Math.ceil(best[0].length / 3)) ? ` (did you mean "${best[0]}"?)` : "";
+}
+
+function checkSchema(value, schema, at, issues) {
+  const add = message => issues.push({ level: schema.level ?? "error", path: at || "(config)", message });
+  if (schema.oneOf) {
+    const alt = schema.oneOf.find(s => s.type === typeOf(value));
+    if (alt) return checkSchema(value, { level: schema.level, ...alt }, at, issues);
+    return add(`expected ${schema.oneOf.map(s => s.type === "array" ? `a list of ${s.items.type}s` : article(s.type)).join(" or ")}, got ${shown(value)}`);
+  }
+  if (schema.type !== typeOf(value)) return add(`expected ${article(schema.type)}, got ${shown(value)}`);
+  if (schema.type === "number") {
+    const bounds = [schema.gt != null && `> ${schema.gt}`, schema.min != null && `>= ${schema.min}`, schema.max != null && `<= ${schema.max}`].filter(Boolean);
+    const bad = !Number.isFinite(value) || (schema.int && !Number.isInteger(value)) || (schema.gt != null && !(value > schema.gt))
+      || (schema.min != null && value < schema.min) || (schema.max != null && value > schema.max);
+    if (bad) add(`expected ${schema.int ? "an integer" : "a number"}${bounds.length ? " " + bounds.join(" and ") : ""}, got ${value}`);
+  } else if (schema.type === "string") {
+    if (schema.enum && !schema.enum.includes(value)) add(`expected ${schema.enum.join("|")}, got ${shown(value)}${didYouMean(value, schema.enum)}`);
+    else if (schema.pattern && !schema.pattern.test(value)) add(`expected ${schema.hint}, got ${shown(value)}`);
+  } else if (schema.type === "array") {
+    if (schema.minItems && value.length < schema.minItems) add(`expected at least ${schema.minItems} entr${schema.minItems === 1 ? "y" : "ies"}`);
+    value.forEach((v, i) => checkSchema(v, schema.items, `${at}[${i}]`, issues));
+  } else if (schema.type === "object") {
+    for (const key of schema.required ?? []) if (!(key in value)) issues.push({ level: "error", path: joinPath(at, key), message: "required" });
+    for (const [key, v] of Object.entries(value)) {
+      const sub = schema.keys[key] ?? schema.values;
+      if (sub) checkSchema(v, sub, joinPath(at, key), issues);
+      else if (!/^[$_]/.test(key)) issues.push({ level: "error", path: joinPath(at, key), message: `unknown key${didYouMean(key, Object.keys(schema.keys))}` });
+    }
+  }
+}
+
+// Same resolution as the server: query/hash dropped, percent-decoded, relative to root.
+function localAsset(u, root) {
+  if (/^(https?:|data:|\/\/)/i.test(u)) return null;
+  return path.normalize(path.join(root, decodeURIComponent(u.replace(/[?#].*$/, "").replace(/^\//, ""))));
+}
+
+// "a.avif 1x, b.avif 2x" → ["a.avif", "b.avif"]
+const srcsetFiles = srcset => String(srcset ?? "").split(",").map(c => c.trim().split(/\s+/)[0]).filter(Boolean);
+
+async function isFile(file) {
+  return (await fs.stat(file).catch(() => null))?.isFile() ?? false;
+}
+
+// null when loadReference can decode the file, else why not
+const referenceIssue = file => loadReference(file).then(() => null, err => `${path.basename(file)} is not a usable reference PNG (${err.message})`);
+
+async function validateConfig(config, { root = process.cwd() } = {}) {
+  root = path.resolve(root);
+  const issues = [];
+  if (typeOf(config) !== "object") return [{ level: "error", path: "(config)", message: `expected an object, got ${shown(config)}` }];
+  checkSchema(config, CONFIG_SCHEMA, "", issues);
+  const error = (at, message) => issues.push({ level: "error", path: at, message });
+  const warning = (at, message) => issues.push({ level: "warning", path: at, message });
+
+  if (typeof config.render?.bg === "string" && !/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.test(config.render.bg.trim())) {
+    warning("render.bg", `"${config.render.bg}" is not a hex color; paint milestones and fidelity assume #ffffff`);
+  }
+  const server = config.network?.server ?? {};
+  if (!!server.certFile !== !!server.keyFile) error(`network.server.${server.certFile ? "keyFile" : "certFile"}`, "certFile and keyFile go together");
+  for (const key of ["certFile", "keyFile"]) {
+    if (typeof server[key] === "string" && !(await isFile(path.resolve(server[key])))) error(`network.server.${key}`, `${path.resolve(server[key])} does not exist`);
+  }
+
+  const profiles = { ...NETWORK_PROFILES, ...(typeOf(config.network?.profiles) === "object" ? config.network.profiles : {}) };
+  const checkProfile = (at, name) => {
+    if (typeof name === "string" && !["", "off", "none"].includes(name) && !profiles[name]) error(at, `unknown network profile "${name}" (known: ${Object.keys(profiles).join(", ")})${didYouMean(name, Object.keys(profiles))}`);
+  };
+  checkProfile("network.profile", config.network?.profile);
+
+  if (Array.isArray(config.browsers)) {
+    const seen = new Map();
+    config.browsers.forEach((entry, i) => {
+      if (typeOf(entry) !== "object" && typeof entry !== "string") return;
+      const b = typeof entry === "string" ? { name: entry } : entry;
+      const engine = b.engine || b.name;
+      if (typeof entry === "object" && !b.engine && !ENGINES[engine]) error(`browsers[${i}].engine`, `required when name "${b.name}" is not an engine (${Object.keys(ENGINES).join("|")})`);
+      const name = b.name || (b.channel ? `${engine}-${b.channel}` : engine);
+      if (seen.has(name)) error(`browsers[${i}].name`, `duplicate name "${name}" (also browsers[${seen.get(name)}])`);
+      else seen.set(name, i);
     });
-  });
+  }
 
-  tbl.appendChild(thead); tbl.appendChild(tbody);
+  const checkFile = async (at, file, { negotiate = false } = {}) => {
+    if (!file) return;
+    const shownFile = path.relative(root, file) || file;
+    if (!file.startsWith(root)) return error(at, `${shownFile} resolves outside --root ${root}`);
+    if (await isFile(file)) return;
+    if (negotiate) {
+      const order = Array.isArray(server.negotiate) ? server.negotiate : NEGOTIATE_ORDER;
+      const variants = [];
+      for (const ext of order) if (await isFile(file.replace(/\.[^./\\]+$/, "") + "." + ext)) variants.push(ext);
+      if (variants.length) return warning(at, `${shownFile} not found under --root; only engines that accept ${variants.join("/")} get a negotiated variant`);
+    }
+    error(at, `${shownFile} not found under --root ${root}`);
+  };
+  // References are decoded too (once per file): a broken PNG would otherwise only fail mid-run
+  const decoded = new Map();
+  const reference = async (at, ref) => {
+    if (typeof ref !== "string") return;
+    const file = path.resolve(root, ref), before = issues.length;
+    await checkFile(at, file);
+    if (issues.length > before) return;
+    if (!decoded.has(file)) decoded.set(file, await referenceIssue(file));
+    if (decoded.get(file)) error(at, decoded.get(file));
+  };
+  await reference("metrics.reference", config.metrics?.reference);
 
-  function round(v){ return (v==null||isNaN(v)) ? "" : Math.round(v); }
-  function fmt3(v){ return (v==null||isNaN(v)) ? "" : (+v).toFixed(3); }
+  const tests = Array.isArray(config.tests) ? config.tests : [];
+  const ids = new Map();
+  for (const [i, tc] of tests.entries()) {
+    if (typeOf(tc) !== "object") continue;
+    const at = `tests[${i}]`;
+    if (typeof tc.id === "string") {
+      if (ids.has(tc.id)) error(`${at}.id`, `duplicate id "${tc.id}" (also tests[${ids.get(tc.id)}])`);
+      else ids.set(tc.id, i);
+    }
+    checkProfile(`${at}.profile`, tc.profile);
+    await reference(`${at}.reference`, tc.reference);
+    const negotiate = { negotiate: tc.negotiate ?? !!server.negotiate };
+    const asset = async (key, u) => { if (typeof u === "string") await checkFile(`${at}.${key}`, localAsset(u, root), negotiate); };
+
+    if (tc.type === "page") {
+      if (!tc.grid?.url && !tc.images?.length && !tc.template) error(at, `type "page" needs grid.url, images[] or template`);
+      await asset("grid.url", tc.grid?.url);
+      if (Array.isArray(tc.images)) for (const [j, im] of tc.images.entries()) await asset(`images[${j}].url`, im?.url);
+      if (typeof tc.template === "string") await checkFile(`${at}.template`, path.resolve(root, tc.template));
+    } else if (tc.type === "picture") {
+      if (!tc.url && !tc.srcset) error(at, `type "picture" needs url (the <img> fallback) or srcset`);
+      await asset("url", tc.url);
+      for (const u of srcsetFiles(tc.srcset)) await asset("srcset", u);
+      if (Array.isArray(tc.sources)) for (const [j, s] of tc.sources.entries()) for (const u of srcsetFiles(s?.srcset)) await asset(`sources[${j}].srcset`, u);
+    } else {
+      if (tc.url == null) error(`${at}.url`, "required");
+      await asset("url", tc.url);
+    }
+  }
+
+  if (Array.isArray(config.budgets?.rules)) {
+    const thresholds = Array.isArray(config.metrics?.thresholds) && config.metrics.thresholds.every(v => typeof v === "number") ? config.metrics.thresholds : DEFAULT_THRESHOLDS;
+    const known = budgetMetrics(thresholds);
+    const testRows = tests.filter(tc => typeOf(tc) === "object").map(tc => ({ id: String(tc.id ?? ""), format: String(tc.format ?? "") }));
+    config.budgets.rules.forEach((rule, i) => {
+      if (typeOf(rule) !== "object") return;
+      const at = `budgets.rules[${i}]`;
+      const metricKeysOf = Object.keys(rule).filter(k => !BUDGET_MATCH.includes(k) && !/^[$_]/.test(k));
+      const unknown = metricKeysOf.filter(k => !known.includes(k));
+      for (const k of unknown) error(`${at}.${k}`, `unknown metric (known: ${known.join(", ")})${didYouMean(k, known)}`);
+      if (!unknown.length && !metricKeysOf.some(k => known.includes(k) && BUDGET_STATS.some(st => rule[k]?.[st] != null))) warning(at, `sets no limit (e.g. "${known.at(-2)}": { "median": 1500 })`);
+      const test = globRe(typeof rule.test === "string" ? rule.test : "*"), format = globRe(typeof rule.format === "string" ? rule.format : "*");
+      if (!testRows.some(tc => test.test(tc.id) && format.test(tc.format))) warning(at, "matches no test");
+    });
+  }
+  return issues;
 }
 
-function attachResize() {
-  const ids = ['bar_t85','bar_t95','bar_vi','box_t85','box_t95','box_vi'];
-  window.addEventListener('resize', () => { ids.forEach(id => { const el = document.getElementById(id); if (el) Plotly.Plots.resize(el); }); });
+const formatIssue = i => `${i.level === "warning" ? "warning " : ""}${i.path}: ${i.message}`;
+
+// Playwright resolves the bundled build unless a channel or executablePath is given; a missing one
+// means `npx playwright install` was not run for that engine.
+async function browserInstallIssue(spec) {
+  const file = spec.executablePath ?? (spec.channel ? null : ENGINES[spec.engine].executablePath());
+  if (!file || await fs.pathExists(file)) return null;
+  return spec.executablePath ? `${file} does not exist` : `${spec.engine} is not installed (${file}); run npx playwright install ${spec.engine}`;
 }
 
-/* --------- Render all charts --------- */
-renderMeta();
-barsFor('t85', 'bar_t85', 'Time to 85% (median)', 'ms', false);
-barsFor('t95', 'bar_t95', 'Time to 95% (median)', 'ms', false);
-barsFor('visIndex', 'bar_vi', 'Visual Index (median, lower is better)', 'index', true);
-boxPlot('t85', 'box_t85', 't85 distribution (lower is better)');
-boxPlot('t95', 'box_t95', 't95 distribution (lower is better)');
-boxPlot('visIndex', 'box_vi', 'Visual Index distribution (lower is better)');
-drawTable();
-attachResize();
-</script>
-</body>
-</html>`;
+/* ------------------------ Doctor ------------------------
+   runDoctor(config, options): preflight report without timed runs — Node version, config issues
+   (validateConfig), for every configured browser whether it is installed and launches, its version
+   and which formats it decodes (a 1×1 probe image per format, img.decode() in a blank page), and
+   which encoder tools (make-variants-config.sh) and ffmpeg (capture backends) are on PATH.
+------------------------------------------------------------------------- */
+const FORMAT_PROBES = {
+  jpeg: "data:image/jpeg;base64,/9j/2wBDAAEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQH/wAALCAABAAEBAREA/8QAFAABAAAAAAAAAAAAAAAAAAAAAP/EABQQAQAAAAAAAAAAAAAAAAAAAAD/2gAIAQEAAD8AP//Z",
+  png: "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR4AWP4z8DwHwAFAAH/e+m+7wAAAABJRU5ErkJggg==",
+  gif: "data:image/gif;base64,R0lGODlhAQABAIAAAP///wAAACH5BAEAAAAALAAAAAABAAEAAAICRAEAOw==",
+  webp: "data:image/webp;base64,UklGRiIAAABXRUJQVlA4IBYAAAAwAQCdASoBAAEADsD+JaQAA3AAAAAA",
+  avif: "data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAAAAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAAB0AAAAoaWluZgAAAAAAAQAAABppbmZlAgAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAIAAAACAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQ0MAAAAABNjb2xybmNseAACAAIAAYAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACVtZGF0EgAKCBgANogQEAwgMg8f8D///8WfhwB8+ErK42A=",
+  jxl: "data:image/jxl;base64,/woIELASCAgQAFwASxLFgkWAHL0xqnCBCV0qDp901Te/5QM=",
+};
+const ENCODER_TOOLS = [
+  { name: "magick", args: ["-version"], for: "JPEG/PNG variants" },
+  { name: "cwebp", args: ["-version"], for: "WebP variants" },
+  { name: "avifenc", args: ["--version"], for: "AVIF variants" },
+  { name: "cjxl", args: ["--version"], for: "JPEG XL variants" },
+  { name: "ffmpeg", args: ["-version"], for: "screencast/video capture" },
+];
+const DOCTOR_TIMEOUT_MS = 30000;
+
+async function toolVersion({ name, args, for: purpose }) {
+  const out = await execFileP(name, args, { timeout: 10000 }).then(r => r, err => err);
+  if (out.code === "ENOENT") return { name, for: purpose, found: false, version: null, line: null };
+  const line = `${out.stdout ?? ""}\n${out.stderr ?? ""}`.split("\n").map(s => s.trim()).find(s => /\d+\.\d+/.test(s)) ?? null;
+  return { name, for: purpose, found: true, version: /\bv?(\d+\.\d+(?:\.\d+)?(?:-\d+)?)/.exec(line ?? "")?.[1] ?? null, line };
 }
 
-/* ------------------------ Main ------------------------ */
-(async () => {
-  const config = await fs.readJson(path.resolve(cfgPath));
-  const stamp = formatISO(new Date()).replace(/[:]/g, "-");
-  const runDir = path.join(OUT_DIR, stamp);
+async function probeBrowser(spec, timeoutMs) {
+  const result = { name: spec.name, engine: spec.engine, channel: spec.channel ?? null, installed: true, version: null, formats: null, error: null };
+  const missing = await browserInstallIssue(spec);
+  if (missing) return { ...result, installed: false, error: missing };
+  let b = null;
+  try {
+    b = await withTimeout(ENGINES[spec.engine].launch(launchOptions(spec)), timeoutMs, `${spec.name} launch`);
+    result.version = b.version();
+    const page = await b.newPage();
+    result.formats = await withTimeout(page.evaluate(async list => {
+      const out = {};
+      for (const [format, src] of Object.entries(list)) {
+        const img = new Image();
+        img.src = src;
+        out[format] = await img.decode().then(() => img.naturalWidth > 0, () => false);
+      }
+      return out;
+    }, FORMAT_PROBES), timeoutMs, `${spec.name} format probe`);
+  } catch (err) {
+    result.error = String(err?.message ?? err).split("\n")[0];
+  } finally {
+    await b?.close().catch(() => {});
+  }
+  return result;
+}
+
+// options: root, browsers (name filter), headless (default true), timeoutMs. config may be null
+// (default browser matrix, no config checks).
+async function runDoctor(config = null, options = {}) {
+  const root = path.resolve(options.root ?? process.cwd());
+  const issues = config ? await validateConfig(config, { root }) : [];
+  const usable = config && !issues.some(i => i.level === "error" && i.path.startsWith("browsers"));
+  const browsers = resolveBrowsers(usable ? config : {}, { ...options, headless: options.headless ?? true });
+  const timeoutMs = Number(options.timeoutMs) > 0 ? Number(options.timeoutMs) : DOCTOR_TIMEOUT_MS;
+  const report = { node: process.version, root, config: config ? { issues } : null, browsers: [], tools: [] };
+  for (const spec of browsers) report.browsers.push(await probeBrowser(spec, timeoutMs));
+  for (const tool of ENCODER_TOOLS) report.tools.push(await toolVersion(tool));
+  report.ok = !issues.some(i => i.level === "error") && report.browsers.every(b => !b.error);
+  return report;
+}
+
+/* ------------------------ Benchmark ------------------------
+   runBenchmark(config, options): the config object (bench.config.json) plus options, the CLI
+   flags in camelCase: root, runs, browsers, headless, profile, protocol, truncate, truncateOnly,
+   capture, reference, filmstrip, trace, retries, runTimeout, resume, allowConfigChange, workers, compareScale,
+   reportFormat, export, maxErrorRate; and
+     outDir       parent of the run directory (default bench-results)
+     configName   shown in the dashboard header
+     events       an EventEmitter for progress: "log" (a line of text, what the CLI prints),
+                  "browser" ({ name, engine, backend }), "test" ({ browser, id }), "run" (a per-run
+                  result, also reused ones), "truncation" (a sweep result), "done" (the return value)
+   Validates the config first (validateConfig, installed browsers) and throws before writing anything
+   when it has errors; err.issues lists them. Writes the run directory and returns
+   { runDir, meta, perRun, truncated, aggregated, probes, budgets, files } (budgets: evaluateBudgets
+   result or null, files.charts: --report-format images, files.exports: --export files by format).
+   The server, the analysis pool and any launched browser are closed on return or failure.
+------------------------------------------------------------------------- */
+async function runBenchmark(config, options = {}) {
+  const teardown = [];
+  try {
+    return await benchmark(config, options, teardown);
+  } finally {
+    for (const close of teardown.reverse()) await close().catch(() => {});
+  }
+}
+
+async function benchmark(config, options, teardown) {
+  const emit = (type, data) => options.events?.emit(type, data);
+  const log = line => emit("log", line);
+  const root = path.resolve(options.root ?? process.cwd());
+  // Preflight (see Config Validation): nothing is written or launched while the config has errors
+  const issues = await validateConfig(config, { root });
+  if (options.reference && options.reference !== true) {
+    const file = path.resolve(root, String(options.reference));
+    const problem = (await isFile(file)) ? await referenceIssue(file) : `${file} does not exist`;
+    if (problem) issues.push({ level: "error", path: "--reference", message: problem });
+  }
+  try { resolveBudgets(config, options); }
+  catch (err) { issues.push({ level: "error", path: "--max-error-rate", message: err.message.replace(/^--max-error-rate: /, "") }); }
+  if (!issues.some(i => i.level === "error")) {
+    for (const spec of resolveBrowsers(config, options)) {
+      const missing = await browserInstallIssue(spec);
+      if (missing) issues.push({ level: "error", path: `browser ${spec.name}`, message: missing });
+    }
+  }
+  issues.filter(i => i.level === "warning").forEach(i => log(`[config] ${formatIssue(i)}`));
+  const errors = issues.filter(i => i.level === "error");
+  if (errors.length) {
+    const err = new Error(`config: ${errors.length} error${errors.length === 1 ? "" : "s"}\n  ${errors.map(formatIssue).join("\n  ")}`);
+    err.issues = issues;
+    throw err;
+  }
+  // resume <runDir>: continue an interrupted run in place; valid per-run JSONs are kept (see readValidRun)
+  const resumeDir = options.resume && options.resume !== true ? path.resolve(String(options.resume)) : null;
+  if (resumeDir && !(await fs.pathExists(resumeDir))) throw new Error(`--resume: ${resumeDir} does not exist`);
+  const stamp = resumeDir ? path.basename(resumeDir) : formatISO(new Date()).replace(/[:]/g, "-");
+  const runDir = resumeDir ?? path.resolve(options.outDir ?? DEFAULT_OUT_DIR, stamp);
+  // A resume must measure the same thing as the first part (see measurementSettings) unless told otherwise
+  const used = resumeDir ? await fs.readJson(path.join(resumeDir, "config.used.json")).catch(() => null) : null;
+  if (resumeDir && !used) throw new Error(`--resume: ${resumeDir} has no readable config.used.json`);
+  const changed = used ? settingsChanged(used, config, options) : [];
+  if (changed.length && !options.allowConfigChange) {
+    throw new Error(`--resume: ${resumeDir} was measured with different ${changed.join(", ")}; rerun with the same config and flags, or pass --allow-config-change to mix the runs anyway`);
+  }
+  if (changed.length) log(`[resume] settings changed since the first part (${changed.join(", ")}); runs are mixed as requested`);
   await fs.mkdirp(runDir);
-  await fs.writeJson(path.join(runDir, "config.used.json"), config, { spaces: 2 });
+  if (!resumeDir) await fs.writeJson(path.join(runDir, "config.used.json"), { ...config, $measured: measurementSettings(config, options) }, { spaces: 2 });
+  let reused = 0;
 
-  // Runs setting: CLI --runs → RUNS env → config.runs → 5
-  const cliRuns = args.runs && !String(args.runs).startsWith("--") ? Number(args.runs) : NaN;
-  const envRuns = process.env.RUNS ? Number(process.env.RUNS) : NaN;
-  const cfgRuns = Number(config.runs);
-  const runs = [cliRuns, envRuns, cfgRuns, 5].find(v => Number.isFinite(v) && v > 0);
+  // Per-run robustness: options.retries / runTimeout → config.retries / config.runTimeoutMs → no retry, 120 s
+  const retries = [Number(options.retries), Number(config.retries), 0].find(v => Number.isInteger(v) && v >= 0);
+  const runTimeoutMs = [Number(options.runTimeout), Number(config.runTimeoutMs), DEFAULT_RUN_TIMEOUT_MS].find(v => Number.isFinite(v) && v > 0);
+
+  // Runs setting: options.runs (CLI --runs → RUNS env) → config.runs → 5
+  const runs = [Number(options.runs), Number(config.runs), 5].find(v => Number.isFinite(v) && v > 0);
 
   const RUN_META = {
     system: {
@@ -484,141 +3909,406 @@ attachResize();
     },
     node: process.version,
     versions: {},
-    runs
+    browsers: {},
+    runs,
+    retries,
+    runTimeoutMs
   };
 
+  const browsers = resolveBrowsers(config, options);
+
+  // Network profile: CLI --profile → tests[].profile → network.profile → none (legacy chunk cadence)
+  const profiles = { ...NETWORK_PROFILES, ...(config.network?.profiles || {}) };
+  const cliProfile = options.profile && options.profile !== true ? String(options.profile) : null;
+  const runProfile = cliProfile ?? config.network?.profile ?? null;
+  const profileFor = tc => cliProfile ?? tc.profile ?? runProfile;
+  for (const tc of config.tests) resolveProfile(profileFor(tc), profiles); // fail fast on typos
+  RUN_META.network = { profile: runProfile, profiles };
+
   // Start internal throttled server (allow config override)
   const srvCfg = {
     chunkBytes: config.network?.server?.chunkBytes ?? 16 * 1024,
-    chunkDelayMs: config.network?.server?.chunkDelayMs ?? 60
+    chunkDelayMs: config.network?.server?.chunkDelayMs ?? 60,
+    seed: config.network?.seed ?? 1,
+    protocol: options.protocol && options.protocol !== true ? String(options.protocol) : (config.network?.server?.protocol ?? "http1"),
+    certFile: config.network?.server?.certFile,
+    keyFile: config.network?.server?.keyFile,
+    negotiate: config.network?.server?.negotiate ?? false
   };
-  const { server, port, traces } = await startThrottledServer({ port: 0, ...srvCfg });
-  const baseURL = `http://127.0.0.1:${port}`;
-  console.log(`[srv] serving ${ASSET_ROOT} at ${baseURL} (chunked, ${srvCfg.chunkBytes} B every ${srvCfg.chunkDelayMs} ms)`);
+  const { server, traces, baseURL, hostScene } = await startThrottledServer({ root, port: 0, profiles, ...srvCfg });
+  teardown.push(async () => server.close());
+  RUN_META.network.protocol = srvCfg.protocol;
+  log(`[srv] serving ${root} at ${baseURL} over ${srvCfg.protocol} (chunked, ${srvCfg.chunkBytes} B every ${srvCfg.chunkDelayMs} ms` +
+    (runProfile ? `; profile ${runProfile}` : "") + ")");
 
-  const perRunResults = [];
+  // Completeness thresholds: config metrics.thresholds (fractions, e.g. [0.5, 0.85, 0.95]) → [0.85, 0.95]
+  const thresholds = resolveThresholds(config);
+  const metrics = metricKeys(thresholds);
+  RUN_META.thresholds = thresholds;
 
-  // Run headed browsers
-  for (const { name: browserName, launcher } of BROWSERS) {
-    console.log(`\n==> ${browserName.toUpperCase()} ===================`);
-    const b = await launcher.launch({ headless: false });
-    const browserVersion = b.version();
-    RUN_META.versions[browserName] = browserVersion;
-
-    const ctx = await b.newContext({
-      viewport: DEFAULT_VIEWPORT,
-      deviceScaleFactor: DEFAULT_VIEWPORT.deviceScaleFactor,
-      bypassCSP: true,
-    });
+  const truncation = resolveTruncation(config, options);
+  RUN_META.truncation = truncation;
 
-    await ctx.route("**/*", (route) => {
-      const headers = { ...route.request().headers(), "Cache-Control": "no-cache" };
-      route.continue({ headers }).catch(() => {});
-    });
+  // Capture backend: CLI --capture → config.capture.backend → "screenshot"
+  const captureCfg = config.capture || {};
+  const requestedCapture = options.capture && options.capture !== true ? String(options.capture) : (captureCfg.backend ?? "screenshot");
+  if (!CAPTURE_BACKENDS.includes(requestedCapture)) throw new Error(`capture.backend: expected ${CAPTURE_BACKENDS.join("|")}, got "${requestedCapture}"`);
+  const hasFfmpeg = requestedCapture === "screenshot" ? false : await execFileP("ffmpeg", ["-version"]).then(() => true, () => false);
+  // Filmstrip: CLI --filmstrip → config.capture.filmstrip → off
+  const filmstrip = options.filmstrip != null ? parseBool(options.filmstrip) : !!captureCfg.filmstrip;
+  // Chromium performance trace per run (decode cost): CLI --trace → config.metrics.trace → off
+  const traceRuns = options.trace != null ? parseBool(options.trace) : (config.metrics?.trace ?? false);
+  RUN_META.capture = { requested: requestedCapture, backends: {}, filmstrip, trace: traceRuns, load: SCENE_LOAD };
+  // Static chart images next to the dashboard (see Portable Reports)
+  const reportFormats = resolveReportFormats(config, options);
+  const exportFormats = resolveExports(config, options);
+  // Pass/fail gates on the aggregated results (see Budgets)
+  const budgets = resolveBudgets(config, options);
 
-    const page = await ctx.newPage();
+  // Frame analysis (see Analysis Pool): CLI --workers → metrics.workers → cores − 1 (0 = inline);
+  // --compare-scale → metrics.compareScale → 1 (full resolution)
+  const workers = [Number(options.workers), Number(config.metrics?.workers), Math.max(1, os.cpus().length - 1)].find(v => Number.isInteger(v) && v >= 0);
+  const compareScale = [Number(options.compareScale), Number(config.metrics?.compareScale), 1].find(v => Number.isFinite(v) && v > 0 && v <= 1);
+  const compareTolerance = { ...DEFAULT_COMPARE_TOLERANCE, ...(config.metrics?.compareTolerance || {}) };
+  const pool = workers > 0 ? createAnalysisPool(workers) : null;
+  if (pool) teardown.push(() => pool.close());
+  RUN_META.analysis = { workers, compareScale, compareTolerance: compareScale < 1 ? compareTolerance : null };
 
-    if (browserName === "chromium" && config.network?.throttle) {
-      const cdp = await page.context().newCDPSession(page);
-      await cdp.send("Network.enable");
-      await cdp.send("Network.emulateNetworkConditions", {
-        offline: false,
-        latency: config.network.latency ?? 150,
-        downloadThroughput: (config.network.downKbps ?? 200) * 1024 / 8,
-        uploadThroughput: (config.network.upKbps ?? 50) * 1024 / 8,
-        connectionType: "cellular3g",
-      });
-    }
+  // Reference image: CLI --reference → tests[].reference → metrics.reference (paths relative to --root)
+  const references = new Map();
+  const referenceFor = async tc => {
+    const ref = (options.reference && options.reference !== true ? String(options.reference) : null) ?? tc.reference ?? config.metrics?.reference ?? null;
+    if (!ref) return null;
+    const file = path.resolve(root, ref);
+    if (!references.has(file)) references.set(file, await loadReference(file, config.render?.bg));
+    return references.get(file);
+  };
 
-    for (const tc of config.tests) {
-      const { id, url, label = "", format = "", notes = "" } = tc;
-      const fullURL = /^https?:\/\//i.test(url) ? url : `${baseURL}/${url.replace(/^\//, "")}`;
-      console.log(`  • ${id} – ${label || url}  (runs=${runs})`);
+  // Asset probe: bytes, hash, sniffed codec and dimensions of every local test file
+  const probes = await probeTests(config.tests, root);
+  for (const [id, p] of probes) if (p?.flags.length) log(`[probe] ${id}: ${p.flags.join("; ")}`);
+
+  const perRunResults = [];
+  const truncatedResults = [];
+
+  for (const spec of browsers) {
+    const browserName = spec.name;
+    log(`\n==> ${browserName.toUpperCase()} (${spec.engine}${spec.channel ? "/" + spec.channel : ""}, ${spec.headless ? "headless" : "headed"}) ===================`);
+    RUN_META.browsers[browserName] = {
+      engine: spec.engine,
+      channel: spec.channel ?? null,
+      executablePath: spec.executablePath ?? null,
+      headless: spec.headless,
+      args: spec.args ?? []
+    };
+
+    const backend = resolveCaptureBackend(requestedCapture, spec.engine, hasFfmpeg);
+    RUN_META.capture.backends[browserName] = backend;
+    if (backend !== requestedCapture) log(`  capture: ${requestedCapture} unavailable for ${spec.engine}${hasFfmpeg ? "" : " (no ffmpeg)"} → ${backend}`);
+    emit("browser", { name: browserName, engine: spec.engine, backend });
+    const videoDir = path.join(runDir, "videos");
 
-      for (let k = 0; k < runs; k++) {
-        const r = { browser: browserName, browser_version: browserVersion, id, label, format, notes, run: k+1 };
+    // The browser is launched on first use (a fully resumed browser never starts) and relaunched
+    // when it disconnects. The video backend records one page per run (the video is finalized on
+    // page close); the other backends reuse a single page.
+    let b = null, ctx = null, browserVersion = null;
+    let page = null, cdp = null, pageOpenedAt = 0;
+    teardown.push(async () => { await b?.close(); });
+    const openPage = async () => {
+      pageOpenedAt = Date.now();
+      page = await ctx.newPage();
+      cdp = spec.engine === "chromium" && config.network?.throttle ? await page.context().newCDPSession(page) : null;
+      if (cdp) await cdp.send("Network.enable");
+    };
+    const ensureSession = async () => {
+      if (!b?.isConnected()) {
+        if (b) { log(`    browser disconnected – relaunching ${browserName}`); await b.close().catch(() => {}); }
+        b = await ENGINES[spec.engine].launch(launchOptions(spec));
+        browserVersion = b.version();
+        RUN_META.versions[browserName] = browserVersion;
+        ctx = await b.newContext({
+          viewport: DEFAULT_VIEWPORT,
+          deviceScaleFactor: DEFAULT_VIEWPORT.deviceScaleFactor,
+          bypassCSP: true,
+          ignoreHTTPSErrors: true,
+          ...(backend === "video" ? { recordVideo: { dir: videoDir, size: { width: DEFAULT_VIEWPORT.width, height: DEFAULT_VIEWPORT.height } } } : {}),
+        });
+        await ctx.route("**/*", (route) => {
+          const headers = { ...route.request().headers(), "Cache-Control": "no-cache" };
+          route.continue({ headers }).catch(() => {});
+        });
+        page = null;
+      }
+      if (backend === "video" || !page || page.isClosed()) await openPage();
+    };
+    // Failed attempt: keep what the page showed, then drop the page so the next attempt starts clean
+    const failAttempt = async (file, attempt, err) => {
+      const failure = { attempt, error: String(err && err.message ? err.message : err), screenshot: null };
+      if (page && !page.isClosed() && b?.isConnected()) {
+        const rel = `errors/${file}-attempt${attempt}.png`;
+        await fs.mkdirp(path.join(runDir, "errors"));
+        failure.screenshot = await page.screenshot({ path: path.join(runDir, rel), timeout: 5000 }).then(() => rel, () => null);
+        const v = backend === "video" ? page.video() : null;
+        await page.close().catch(() => {});
+        await v?.delete().catch(() => {});
+      }
+      page = null;
+      return failure;
+    };
+    // Timed runs and truncation sweeps alike: measure(signal) → fields for r, up to 1 + retries attempts.
+    // A timed-out attempt is aborted, and awaited once failAttempt closed its page, so it cannot
+    // overlap the retry (frames/ dir, tracing).
+    const attemptRun = async (file, what, r, measure, timeoutMs = runTimeoutMs) => {
+      const failures = [];
+      for (let attempt = 1; attempt <= 1 + retries; attempt++) {
+        const abort = new AbortController();
+        let running = null;
         try {
-          const res = await runOne(page, fullURL, config.render || {});
-          Object.assign(r, res);
+          await ensureSession();
+          r.browser_version = browserVersion;
+          running = measure(abort.signal);
+          Object.assign(r, await withTimeout(running, timeoutMs, what, abort));
+          delete r.error;
+          delete r.errorScreenshot;
+          break;
         } catch (err) {
-          r.error = String(err && err.message ? err.message : err);
+          const failure = await failAttempt(file, attempt, err);
+          if (running) await withTimeout(running.catch(() => {}), ABANDON_WAIT_MS, "abandoned run").catch(() => {});
+          failures.push(failure);
+          Object.assign(r, { error: failure.error, errorScreenshot: failure.screenshot });
+          log(`    ${what} attempt ${attempt}/${1 + retries} failed: ${failure.error}`);
         }
-        perRunResults.push(r);
-        await fs.writeJson(path.join(runDir, `${browserName}-${id}-run${k+1}.json`), r, { spaces: 2 });
       }
-    }
+      if (failures.length) r.failures = failures;
+      r.attempts = failures.length + (r.error ? 0 : 1);
+    };
 
-    await ctx.close();
-    await b.close();
-  }
+    for (const tc of config.tests) {
+      const { id, url, label = "", format = "", notes = "" } = tc;
+      // Encoder tags written by make-variants-config.sh (quality sweep): variant, quality, effort, bytes
+      const encoding = ["variant", "quality", "effort", "bytes"].some(k => tc[k] != null)
+        ? { variant: tc.variant ?? id, quality: tc.quality ?? null, effort: tc.effort ?? null, bytes: tc.bytes ?? null } : null;
+      const profile = resolveProfile(profileFor(tc), profiles)?.name ?? null;
+      const isPage = tc.type === "page", isPicture = tc.type === "picture";
+      const isExternal = !isPage && !isPicture && /^https?:\/\//i.test(url);
+      // Server params for every local image request of the test: network profile, Accept negotiation
+      const query = { ...(profile ? { [PROFILE_PARAM]: profile } : {}), ...(tc.negotiate != null ? { [NEGOTIATE_PARAM]: tc.negotiate ? 1 : 0 } : {}) };
+      // Single image: the harness URL; type "page": a multi-image scene; type "picture": the harness with <picture> (see Page Scenarios)
+      const target = isPage ? await pageScene(tc, { baseURL, query, opts: config.render || {}, root })
+        : isPicture ? pictureScene(tc, { baseURL, query, opts: config.render || {} })
+        : isExternal ? url
+        : assetURL(url, baseURL, query);
+      // Every scene is served by the bench server and navigated to (fresh document per run, see hostScene)
+      const scene = typeof target === "string" ? { html: HARNESS_HTML({ url: target, ...(config.render || {}) }), selector: "#tgt", multi: false } : target;
+      scene.url = hostScene(scene.html);
+      log(`  • ${id} – ${label || url || tc.type}  (runs=${runs}${profile ? `, profile=${profile}` : ""})`);
+      emit("test", { browser: browserName, id });
 
-  await fs.writeJson(path.join(runDir, "server.traces.json"), traces, { spaces: 2 });
+      // CDP emulation only applies to tests without a server profile; otherwise the server
+      // already shapes the bytes and Chromium would be throttled twice.
+      const conditions = (!profile || isExternal) ? {
+        offline: false,
+        latency: config.network?.latency ?? 150,
+        downloadThroughput: (config.network?.downKbps ?? 200) * 1024 / 8,
+        uploadThroughput: (config.network?.upKbps ?? 50) * 1024 / 8,
+        connectionType: "cellular3g",
+      } : { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 };
+      // A reference that fails to load (checked in validateConfig, but the file may change) fails this test's runs only
+      let reference = null, referenceError = null;
+      if (!isPage) {
+        try { reference = await referenceFor(tc); }
+        catch (err) { referenceError = `reference: ${err.message}`; log(`    ${referenceError}`); }
+      }
 
-  // Aggregate
-  const groups = new Map();
-  for (const r of perRunResults) {
-    const k = `${r.browser}__${r.id}`;
-    if (!groups.has(k)) groups.set(k, []);
-    groups.get(k).push(r);
-  }
+      for (let k = 0; k < (truncation?.only ? 0 : runs); k++) {
+        const file = `${fileSafe(browserName)}-${id}-run${k+1}`;
+        const prev = resumeDir ? await readValidRun(path.join(runDir, `${file}.json`), { browser: browserName, id, run: k+1 }) : null;
+        if (prev) {
+          RUN_META.versions[browserName] ??= prev.browser_version;
+          perRunResults.push(prev);
+          emit("run", prev);
+          reused++;
+          continue;
+        }
+        const r = { browser: browserName, engine: spec.engine, browser_version: browserVersion, id, label, format, notes, type: tc.type ?? "image", profile, encoding, probe: probes.get(id),
+                    reference: reference ? path.relative(root, reference.file) : null, run: k+1 };
+        if (referenceError) Object.assign(r, { error: referenceError, attempts: 0 });
+        else await attemptRun(file, `run ${k+1}`, r, async signal => {
+          if (cdp) await cdp.send("Network.emulateNetworkConditions", conditions);
+          const keepVideoAs = backend === "video" && captureCfg.keepVideo
+            ? path.join(videoDir, `${file}.webm`) : null;
+          const tracing = traceRuns && spec.engine === "chromium";
+          if (tracing) await b.startTracing(page, { categories: TRACE_CATEGORIES });
+          let res, perfTrace = null;
+          try {
+            res = await runOne(page, scene, config.render || {}, { backend, openedAt: pageOpenedAt, keepVideoAs },
+                               { reference, thresholds, bg: config.render?.bg, pool, scale: compareScale, signal,
+                                 scaleCheck: compareScale < 1 && k === 0 ? compareTolerance : null,
+                                 filmstrip: filmstrip ? { dir: path.join(runDir, "frames", file), rel: `frames/${file}` } : null });
+          } finally {
+            if (tracing) perfTrace = await b.stopTracing().catch(() => null);
+          }
+          if (perfTrace) Object.assign(res, traceCost(JSON.parse(perfTrace.toString("utf8"))));
+          // The fetched candidate (currentSrc) is the request to follow: <picture>/srcset may skip the fallback url.
+          // A picture test with neither (srcset-only, no currentSrc) has no request to correlate.
+          const requested = res.currentSrc || (typeof target === "string" ? target : target.src) || null;
+          const trace = isPage || isExternal || !requested ? null : findTrace(traces, requested, res.startedAt);
+          return Object.assign(res, isPage ? correlatePage(res, traces, thresholds) : { ...correlateBytes(res, trace, thresholds), fetched: fetchedFrom(trace) },
+                               isPicture ? { traceSkipped: requested ? null : "no currentSrc and no fallback url" } : {});
+        });
+        if (r.scaleCheck && !r.scaleCheck.ok) log(`    run ${k+1}: compareScale ${compareScale} is off vs. full resolution (${scaleOff(r.scaleCheck)})`);
+        perRunResults.push(r);
+        emit("run", r);
+        await fs.writeJson(path.join(runDir, `${file}.json`), r, { spaces: 2 });
+      }
 
-  const aggregated = [];
-  for (const [, arr] of groups.entries()) {
-    const base = arr[0];
-    const errs = arr.filter(x => x.error).map(x => x.error);
-    const ok = arr.filter(x => !x.error);
+      if (truncation) {
+        if (isExternal || isPage || isPicture) { log(`    (truncation sweep skipped: ${isExternal ? "external URL" : tc.type + " test"})`); continue; }
+        log(`    truncation sweep: ${truncation.steps.join(",")}%  (runs=${truncation.runs})`);
+        for (let k = 0; k < truncation.runs; k++) {
+          const file = `${fileSafe(browserName)}-${id}-truncated-run${k+1}`;
+          const prev = resumeDir ? await readValidRun(path.join(runDir, `${file}.json`), { browser: browserName, id, run: k+1, mode: "truncated" }) : null;
+          if (prev) { truncatedResults.push(prev); emit("truncation", prev); reused++; continue; }
+          const r = { mode: "truncated", browser: browserName, engine: spec.engine, browser_version: browserVersion, id, label, format, notes, run: k+1 };
+          await attemptRun(file, `truncation sweep ${k+1}`, r, async signal => {
+            if (cdp) await cdp.send("Network.emulateNetworkConditions", { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 });
+            const res = await runTruncationSweep(page, `${baseURL}/${url.replace(/^\//, "")}`, config.render || {}, { traces, ...truncation, signal });
+            if (backend === "video") { const v = page.video(); await page.close(); await v?.delete(); }
+            return res;
+          }, runTimeoutMs * truncation.steps.length);
+          truncatedResults.push(r);
+          emit("truncation", r);
+          await fs.writeJson(path.join(runDir, `${file}.json`), r, { spaces: 2 });
+        }
+      }
+    }
 
-    const t85s = ok.map(x => Number(x.t85)).filter(v => Number.isFinite(v));
-    const t95s = ok.map(x => Number(x.t95)).filter(v => Number.isFinite(v));
-    const vis  = ok.map(x => Number(x.visIndex)).filter(v => typeof v === 'number' && !Number.isNaN(v));
+    if (b) {
+      await ctx?.close().catch(() => {});
+      await b.close().catch(() => {});
+    }
+    // Raw recordings (incl. pages of failed runs) are only kept with capture.keepVideo
+    if (backend === "video" && !captureCfg.keepVideo) await fs.remove(videoDir);
+  }
 
-    aggregated.push({
-      browser: base.browser,
-      browser_version: base.browser_version,
-      id: base.id,
-      label: base.label,
-      format: base.format,
-      notes: base.notes,
-      dist: { count: arr.length, t85: t85s, t95: t95s, visIndex: vis },
-      median: { t85: median(t85s), t95: median(t95s), visIndex: median(vis) },
-      p10:    { t85: percentile(t85s, 10), t95: percentile(t95s, 10), visIndex: percentile(vis, 10) },
-      p90:    { t85: percentile(t85s, 90), t95: percentile(t95s, 90), visIndex: percentile(vis, 90) },
-      errors: errs
-    });
+  // A resumed run keeps the traces of its earlier part
+  const earlierTraces = resumeDir ? await fs.readJson(path.join(runDir, "server.traces.json")).catch(() => []) : [];
+  await fs.writeJson(path.join(runDir, "server.traces.json"), [...earlierTraces, ...traces], { spaces: 2 });
+  if (resumeDir) {
+    RUN_META.resumed = { at: formatISO(new Date()), reused, ...(changed.length ? { changed } : {}) };
+    log(`\n[resume] reused ${reused} completed run(s) from ${runDir}`);
   }
 
+  const aggregated = aggregate(perRunResults, truncatedResults, { thresholds });
+  const elementMetrics = elementMetricKeys(thresholds);
+
   // Write artifacts + dashboard
+  const timedRows = aggregated.filter(r => r.mode === "timed");
+  // Budget checks go onto their rows before anything is written (aggregated.json, dashboard, exports)
+  const budgetResult = budgets ? evaluateBudgets(aggregated, budgets, { thresholds }) : null;
+  if (budgetResult) {
+    for (const r of timedRows) {
+      r.budgets = budgetResult.checks.filter(c => c.browser === r.browser && c.id === r.id).map(({ browser, id, format, ...c }) => c);
+    }
+    const failed = budgetResult.checks.filter(c => !c.ok).length;
+    RUN_META.budgets = { ok: budgetResult.ok, checks: budgetResult.checks.length, failed, errorRate: budgetResult.errorRate, unmatched: budgetResult.unmatched };
+    log("");
+    budgetTable(budgetResult).forEach(log);
+    budgetResult.unmatched.forEach(i => log(`[budgets] rules[${i}] matched no result`));
+  }
+  // Thresholds and visIndex get median/p10/p90; milestones, byte and fidelity metrics the median
+  const spread = [...metrics.tKeys, "visIndex"];
+  const medianOnly = metrics.all.filter(m => !spread.includes(m));
+  const raw = m => m === "visIndex" || m.startsWith("frac") || FIDELITY_METRICS.includes(m) || /Ms$/.test(m);
+  const cell = (v, m) => raw(m) ? (v ?? "") : n(v);
   const headers = ["browser","browser_version","id","label","format",
-                   "median_t85","p10_t85","p90_t85",
-                   "median_t95","p10_t95","p90_t95",
-                   "median_visIndex","p10_visIndex","p90_visIndex","notes","n_runs","errors"];
-  const rows = [headers.join(",")].concat(aggregated.map(r =>
+                   ...spread.flatMap(m => [`median_${m}`, `p10_${m}`, `p90_${m}`]),
+                   "file_bytes", ...medianOnly.map(m => `median_${m}`),
+                   "capture_backend","median_fps",
+                   "asset_bytes","sha256","container","codec","width","height","bpp","natural_width","natural_height","asset_flags",
+                   "fetched_url","fetched_type",
+                   "notes","n_runs","errors"];
+  const rows = [headers.join(",")].concat(timedRows.map(r =>
     [
       r.browser, csvQ(r.browser_version), r.id, csvQ(r.label), r.format,
-      n(r.median.t85), n(r.p10.t85), n(r.p90.t85),
-      n(r.median.t95), n(r.p10.t95), n(r.p90.t95),
-      (r.median.visIndex ?? ""), (r.p10.visIndex ?? ""), (r.p90.visIndex ?? ""),
+      ...spread.flatMap(m => [cell(r.median[m], m), cell(r.p10[m], m), cell(r.p90[m], m)]),
+      n(r.fileBytes), ...medianOnly.map(m => cell(r.median[m], m)),
+      r.capture?.backend ?? "", r.capture?.fps ?? "",
+      r.probe?.bytes ?? "", r.probe?.sha256 ?? "", r.probe?.container ?? "", r.probe?.codec ?? "",
+      r.probe?.width ?? "", r.probe?.height ?? "", r.probe?.bpp ?? "", r.natural?.width ?? "", r.natural?.height ?? "",
+      csvQ(r.flags.join(" | ")),
+      csvQ(r.fetched?.file ?? r.fetched?.url ?? ""), r.fetched?.contentType ?? "",
       csvQ(r.notes), r.dist.count, csvQ((r.errors||[]).join(" | "))
     ].join(",")
   ));
   const csvPath = path.join(runDir, "summary.csv");
   await fs.writeFile(csvPath, rows.join("\n"), "utf8");
 
+  // Page tests: one row per (browser, test, image element)
+  const pageRows = timedRows.filter(r => r.elements);
+  if (pageRows.length) {
+    const elemRows = [["browser","id","element","url","offscreen","n_runs", ...elementMetrics.map(m => `median_${m}`)].join(",")]
+      .concat(pageRows.flatMap(r => r.elements.map(e => [
+        r.browser, r.id, csvQ(e.name), csvQ(e.url), e.offscreen, e.n, ...elementMetrics.map(m => cell(e.median[m], m))
+      ].join(","))));
+    await fs.writeFile(path.join(runDir, "elements.csv"), elemRows.join("\n"), "utf8");
+  }
+
+  // --export md,junit,ndjson (see Exports)
+  const exportFiles = {};
+  const exporters = {
+    md: () => markdownSummary(aggregated, { thresholds, title: `Progressive Image Bench – ${stamp}` }),
+    junit: () => junitReport(aggregated, { thresholds }),
+    ndjson: () => ndjsonRuns(perRunResults, { thresholds, stamp })
+  };
+  for (const format of exportFormats) {
+    exportFiles[format] = path.join(runDir, EXPORT_FILES[format]);
+    await fs.writeFile(exportFiles[format], exporters[format](), "utf8");
+  }
+
+  // Without plotly.js-dist-min the dashboard needs the CDN: say so in the log and in meta
+  const plotly = await plotlyScript();
+  RUN_META.report = { selfContained: plotly !== PLOTLY_CDN_TAG };
+  if (!RUN_META.report.selfContained) log(`[report] ${PLOTLY_CDN_WARNING}`);
+
   await fs.writeJson(path.join(runDir, "meta.json"), RUN_META, { spaces: 2 });
   await fs.writeJson(path.join(runDir, "per-run.json"), perRunResults, { spaces: 2 });
+  if (truncatedResults.length) await fs.writeJson(path.join(runDir, "truncated.json"), truncatedResults, { spaces: 2 });
+  await fs.writeJson(path.join(runDir, "probe.json"), Object.fromEntries(probes), { spaces: 2 });
   await fs.writeJson(path.join(runDir, "aggregated.json"), aggregated, { spaces: 2 });
 
-  const dashHTML = buildDashboardHTML({ stamp, configName: path.basename(cfgPath), aggregated, meta: RUN_META });
+  // One portable file: Plotly inlined, filmstrip frames and error screenshots embedded (see Portable Reports)
+  const embedded = await embedThumbnails({ perRun: perRunResults, aggregated }, runDir);
+  const dashHTML = buildDashboardHTML({ stamp, configName: options.configName ?? "config", aggregated: embedded.aggregated, meta: RUN_META,
+                                        perRun: embedded.perRun, plotly });
   const dashPath = path.join(runDir, "dashboard.html");
   await fs.writeFile(dashPath, dashHTML, "utf8");
+  // A failed chart export does not throw away the measurements
+  const charts = await exportCharts(dashPath, { formats: reportFormats, dir: path.join(runDir, "charts") })
+    .catch(err => { log(`[report] chart export failed: ${err.message}`); return []; });
+  if (charts.length) log(`[report] ${charts.length} chart image${charts.length === 1 ? "" : "s"} in ${path.join(runDir, "charts")}`);
 
-  console.log(`\nWrote:\n  ${csvPath}\n  ${dashPath}\n  ${path.join(runDir, "aggregated.json")}\n  ${path.join(runDir, "per-run.json")}\n  ${path.join(runDir, "server.traces.json")}`);
+  log(`\nWrote:\n  ${[csvPath, dashPath, path.join(runDir, "aggregated.json"), path.join(runDir, "per-run.json"), path.join(runDir, "server.traces.json"), ...Object.values(exportFiles)].join("\n  ")}`);
 
-  const opener = process.platform === "darwin" ? "open" : process.platform === "win32" ? "cmd" : "xdg-open";
-  const argsOpen = process.platform === "win32" ? ["/c", "start", "", dashPath] : [dashPath];
-  execFile(opener, argsOpen, err => { if (err) console.error("Open dashboard error:", err.message); });
-
-  server.close();
-})().catch(e => { console.error(e); process.exit(1); });
+  const result = {
+    runDir, meta: RUN_META, perRun: perRunResults, truncated: truncatedResults, aggregated, probes: Object.fromEntries(probes), budgets: budgetResult,
+    files: { summary: csvPath, dashboard: dashPath, aggregated: path.join(runDir, "aggregated.json"), perRun: path.join(runDir, "per-run.json"), traces: path.join(runDir, "server.traces.json"), charts, exports: exportFiles }
+  };
+  emit("done", result);
+  return result;
+}
 
 function csvQ(s){ return `"${String(s ?? "").replace(/"/g,'""')}"`; }
+
+/* ------------------------ Public API ------------------------ */
+// createServer: the throttled asset server (see Throttled HTTP Server); root defaults to the working directory.
+const createServer = (options = {}) => startThrottledServer(options);
+
+export {
+  runBenchmark, runDoctor, validateConfig, createServer, aggregate, computeVisualProgress, analyzeProgress,
+  createAnalysisPool, runOne, correlateBytes, traceCost, compareResults, buildHistory, buildDashboardHTML,
+  markdownSummary, junitReport, ndjsonRuns, evaluateBudgets, budgetExitCode, metricKeys, DEFAULT_THRESHOLDS, NETWORK_PROFILES
+};
+
+// Analysis workers load this module (see Analysis Pool)
+if (!isMainThread && workerData?.role === ANALYSIS_ROLE) runAnalysisWorker();
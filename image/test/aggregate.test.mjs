@@ -0,0 +1,64 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { aggregate } from "../progressive-image-bench3.mjs";
+
+const run = (k, extra = {}) => ({
+  browser: "chromium", engine: "chromium", browser_version: "1.0", id: "jpeg", label: "JPEG", format: "jpeg", notes: "",
+  run: k, t85: 100 * k, t95: 200 * k, visIndex: 0.1 * k, capture: { backend: "screenshot", fps: 10 }, ...extra
+});
+
+test("one timed row per browser and test with median / p10 / p90", () => {
+  const rows = aggregate([run(1), run(2), run(3), { ...run(1), browser: "firefox", engine: "firefox" }]);
+  assert.equal(rows.length, 2);
+  const [chromium] = rows;
+  assert.equal(chromium.mode, "timed");
+  assert.equal(chromium.dist.count, 3);
+  assert.equal(chromium.median.t85, 200);
+  assert.equal(chromium.median.t95, 400);
+  assert.equal(chromium.p10.t85, 120);
+  assert.equal(chromium.p90.t85, 280);
+  assert.equal(chromium.median.tLCP, null);
+  assert.deepEqual(chromium.capture, { backend: "screenshot", fps: 10 });
+});
+
+test("uses the configured thresholds", () => {
+  const [row] = aggregate([run(1, { t50: 40 }), run(2, { t50: 60 })], [], { thresholds: [0.5] });
+  assert.equal(row.median.t50, 50);
+  assert.ok(!("t85" in row.median));
+});
+
+test("failed runs are reported but not aggregated", () => {
+  const [row] = aggregate([run(1), run(2, { error: "boom", errorScreenshot: "errors/x.png" }), run(3, { failures: [{ attempt: 1, error: "x" }] })]);
+  assert.equal(row.dist.count, 3);
+  assert.deepEqual(row.dist.t85, [100, 300]);
+  assert.deepEqual(row.errors, ["boom"]);
+  assert.deepEqual(row.errorScreenshots, ["errors/x.png"]);
+  assert.equal(row.retried, 1);
+});
+
+test("flags runs that fetched different variants", () => {
+  const fetched = type => ({ url: "/a.jpg", file: `a.${type}`, contentType: `image/${type}` });
+  const [row] = aggregate([run(1, { fetched: fetched("avif") }), run(2, { fetched: fetched("avif") }), run(3, { fetched: fetched("webp") })]);
+  assert.equal(row.fetched.file, "a.avif");
+  assert.equal(row.fetched.runs, 2);
+  assert.equal(row.fetched.variants, 2);
+  assert.ok(row.flags.some(f => f.startsWith("runs fetched different variants")));
+});
+
+test("truncation sweeps become one quality curve per browser and test", () => {
+  const sweep = q => ({ mode: "truncated", browser: "chromium", id: "jpeg", points: [{ pct: 50, fraction: 0.5, bytes: 500, quality: q }, { pct: 100, fraction: 1, bytes: 1000, quality: 1 }] });
+  const rows = aggregate([], [sweep(0.6), sweep(0.8)]);
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].mode, "truncated");
+  assert.deepEqual(rows[0].curve.map(p => [p.pct, p.quality, p.n]), [[50, 0.7, 2], [100, 1, 2]]);
+});
+
+test("picture runs without a request to follow are flagged", () => {
+  const [row] = aggregate([run(1, { type: "picture", traceSkipped: "no currentSrc and no fallback url" }), run(2, { type: "picture", traceSkipped: null })]);
+  assert.deepEqual(row.flags, ["bytes not correlated: no currentSrc and no fallback url"]);
+});
+
+test("runs where img.decode() rejected are flagged", () => {
+  const [row] = aggregate([run(1, { decodeFailed: true }), run(2), run(3)]);
+  assert.deepEqual(row.flags, ["img.decode() rejected in 1 of 3 runs"]);
+});
@@ -0,0 +1,84 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { aggregate, evaluateBudgets, budgetExitCode, junitReport, validateConfig, runBenchmark } from "../progressive-image-bench3.mjs";
+
+const run = (browser, id, format, n, extra) => ({ browser, engine: browser, id, label: id, format, run: n, attempts: 1, ...extra });
+const aggregated = aggregate([
+  run("chromium", "jxl-progressive", "jxl", 1, { t85: 400, t95: 900, visIndex: 0.3 }),
+  run("chromium", "jxl-progressive", "jxl", 2, { t85: 500, t95: 1100, visIndex: 0.4 }),
+  run("firefox", "jxl-progressive", "jxl", 1, { t85: 800, t95: null, visIndex: 0.6 }),
+  run("chromium", "avif", "avif", 1, { t85: 300, t95: 2000, visIndex: 0.5 }),
+  run("chromium", "avif", "avif", 2, { error: "Timeout" })
+]);
+const checksOf = result => result.checks.map(c => `${c.browser} ${c.id} ${c.metric} ${c.stat} ${c.value} ${c.ok ? "ok" : "FAIL"}`);
+
+test("rules match test, format and browser patterns; a missing value fails", () => {
+  const result = evaluateBudgets(aggregated, {
+    maxErrorRate: 0.5,
+    rules: [
+      { test: "*-progressive", t95: { median: 1500, p90: 1050 } },
+      { format: "avif", browser: "chrom*", visIndex: { median: 0.45 } },
+      { test: "webp*", t85: { median: 1 } }
+    ]
+  });
+  assert.deepEqual(checksOf(result), [
+    "chromium jxl-progressive t95 median 1000 ok",
+    "chromium jxl-progressive t95 p90 1080 FAIL",
+    "firefox jxl-progressive t95 median null FAIL",
+    "firefox jxl-progressive t95 p90 null FAIL",
+    "chromium avif visIndex median 0.5 FAIL"
+  ]);
+  assert.deepEqual(result.unmatched, [2]);
+  assert.deepEqual(result.errorRate, { errored: 1, total: 5, rate: 0.2, max: 0.5, ok: true });
+  assert.equal(result.ok, false);
+  assert.equal(budgetExitCode(result), 2);
+});
+
+test("too many errored runs take precedence over budget failures", () => {
+  assert.equal(budgetExitCode(evaluateBudgets(aggregated, { rules: [] })), 3);
+  assert.equal(budgetExitCode(evaluateBudgets(aggregated, { maxErrorRate: 0.2, rules: [{ t85: { median: 10000 } }] })), 0);
+  assert.equal(budgetExitCode(null), 0);
+});
+
+test("errored truncation sweeps count towards the error rate", () => {
+  const sweep = (n, extra) => ({ mode: "truncated", browser: "chromium", id: "avif", format: "avif", run: n, points: [{ pct: 100, fraction: 1, bytes: 1000, quality: 1 }], ...extra });
+  const rows = aggregate([
+    run("chromium", "avif", "avif", 1, { t85: 300, t95: 2000, visIndex: 0.5 }),
+    run("chromium", "avif", "avif", 2, { t85: 320, t95: 2100, visIndex: 0.5 })
+  ], [sweep(1), sweep(2, { error: "truncation sweep 2 timed out" })]);
+  assert.deepEqual(evaluateBudgets(rows, { maxErrorRate: 0.25, rules: [] }).errorRate, { errored: 1, total: 4, rate: 0.25, max: 0.25, ok: true });
+  assert.equal(budgetExitCode(evaluateBudgets(rows, { rules: [] })), 3);
+});
+
+test("failed checks on a row become JUnit failures", () => {
+  const rows = aggregated.map(r => r.id === "avif" ? { ...r, budgets: [{ rule: 0, metric: "t95", stat: "median", limit: 1500, value: 2000, ok: false }] } : r);
+  assert.match(junitReport(rows), /<testcase classname="chromium" name="avif"[^]*<failure message="over budget: t95 median 2000 &gt; 1500"\/>/);
+});
+
+test("config validation knows the budget metrics", async () => {
+  const issues = await validateConfig({
+    metrics: { thresholds: [0.5, 0.95] },
+    budgets: { maxErrorRate: 2, rules: [{ test: "a", t85: { median: 100 } }, { test: "b", t50: { p95: 1 } }] },
+    tests: [{ id: "a", url: "https://example.com/a.jpg" }]
+  });
+  assert.deepEqual(issues.map(i => `${i.level} ${i.path}: ${i.message}`), [
+    "error budgets.maxErrorRate: expected a number >= 0 and <= 1, got 2",
+    'error budgets.rules[1].t50.p95: unknown key (did you mean "p90"?)',
+    'error budgets.rules[0].t85: unknown metric (known: t50, t95, visIndex) (did you mean "t95"?)',
+    "warning budgets.rules[1]: sets no limit (e.g. \"t95\": { \"median\": 1500 })",
+    "warning budgets.rules[1]: matches no test"
+  ]);
+});
+
+test("a bare --max-error-rate is refused before anything is written", async t => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "pib-"));
+  t.after(() => fs.remove(root));
+  await fs.outputFile(path.join(root, "a.jpg"), "x");
+  const outDir = path.join(root, "results");
+  await assert.rejects(runBenchmark({ tests: [{ id: "a", url: "a.jpg" }] }, { root, outDir, maxErrorRate: true }),
+    /^Error: config: 1 error\n {2}--max-error-rate: expected a fraction in \[0, 1\], got no value$/);
+  assert.equal(await fs.pathExists(outDir), false);
+});
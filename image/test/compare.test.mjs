@@ -0,0 +1,28 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { compareResults } from "../progressive-image-bench3.mjs";
+
+const runs = (t95, ssim) => t95.map((t, i) => ({ browser: "chromium", id: "a", run: i + 1, t95: t, ssim: ssim[i] }));
+
+test("a higher SSIM is an improvement, a higher t95 a regression", async t => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "pib-"));
+  t.after(() => fs.remove(root));
+  await fs.outputJson(path.join(root, "A", "per-run.json"), runs([100, 102, 98, 101, 99, 100], [0.90, 0.91, 0.90, 0.89, 0.90, 0.91]));
+  await fs.outputJson(path.join(root, "B", "per-run.json"), runs([200, 203, 198, 201, 199, 202], [0.97, 0.98, 0.97, 0.96, 0.97, 0.98]));
+  const { rows } = await compareResults(path.join(root, "A"), path.join(root, "B"), { metrics: "t95,ssim", out: path.join(root, "out") });
+  assert.deepEqual(rows.map(r => [r.metric, r.verdict]), [["t95", "regression"], ["ssim", "improvement"]]);
+});
+
+test("runs that loaded their scenes differently get a warning", async t => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "pib-"));
+  t.after(() => fs.remove(root));
+  await fs.outputJson(path.join(root, "A", "per-run.json"), runs([100, 102], [0.9, 0.9]));
+  await fs.outputJson(path.join(root, "B", "per-run.json"), runs([100, 102], [0.9, 0.9]));
+  await fs.outputJson(path.join(root, "B", "meta.json"), { capture: { load: "navigate" } });
+  const { warnings } = await compareResults(path.join(root, "A"), path.join(root, "B"), { metrics: "t95", out: path.join(root, "out") });
+  assert.deepEqual(warnings, ["A loaded its scenes with setContent, B with navigate: only navigated times include fetching the harness page"]);
+  assert.deepEqual((await fs.readJson(path.join(root, "out", "compare.json"))).warnings, warnings);
+});
@@ -0,0 +1,88 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { validateConfig, runBenchmark } from "../progressive-image-bench3.mjs";
+
+const errorsOf = issues => issues.filter(i => i.level === "error").map(i => `${i.path}: ${i.message}`);
+
+async function tempRoot(t, files = []) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "pib-"));
+  t.after(() => fs.remove(root));
+  for (const f of files) await fs.outputFile(path.join(root, f), "x");
+  return root;
+}
+
+test("schema errors carry the path of the offending value", async t => {
+  const root = await tempRoot(t, ["a.jpg"]);
+  const errors = errorsOf(await validateConfig({
+    runs: 0,
+    network: { server: { protocol: "h3" } },
+    metrics: { thresholds: [0.5, 1.5] },
+    tests: [{ id: "a", url: "a.jpg", lable: "A" }, { url: "a.jpg" }]
+  }, { root }));
+  assert.deepEqual(errors, [
+    "runs: expected an integer >= 1, got 0",
+    'network.server.protocol: expected http1|https1|h2, got "h3" (did you mean "h2"?)',
+    "metrics.thresholds[1]: expected a number > 0 and <= 1, got 1.5",
+    'tests[0].lable: unknown key (did you mean "label"?)',
+    "tests[1].id: required"
+  ]);
+});
+
+test("duplicate ids, unknown profiles and missing page inputs", async t => {
+  const root = await tempRoot(t, ["a.jpg"]);
+  const errors = errorsOf(await validateConfig({
+    browsers: ["chromium", { name: "chromium", headless: true }],
+    tests: [{ id: "a", url: "a.jpg", profile: "4G" }, { id: "a", url: "a.jpg" }, { id: "p", type: "page" }]
+  }, { root }));
+  assert.deepEqual(errors, [
+    'browsers[1].name: duplicate name "chromium" (also browsers[0])',
+    'tests[0].profile: unknown network profile "4G" (known: 3g-slow, 3g, 4g, cable) (did you mean "4g"?)',
+    'tests[1].id: duplicate id "a" (also tests[0])',
+    'tests[2]: type "page" needs grid.url, images[] or template'
+  ]);
+});
+
+test("every local file a test loads must exist under root", async t => {
+  const root = await tempRoot(t, ["out/a.jpg", "out/a.avif", "pages/article.html"]);
+  const issues = await validateConfig({
+    tests: [
+      { id: "img", url: "/out/a.jpg?v=1" },
+      { id: "ext", url: "https://example.com/missing.jpg" },
+      { id: "gone", url: "out/gone.jpg" },
+      { id: "up", url: "../a.jpg" },
+      { id: "pic", type: "picture", url: "out/a.jpg", sources: [{ type: "image/avif", srcset: "out/a.avif 1x, out/a@2x.avif 2x" }] },
+      { id: "page", type: "page", template: "pages/article.html", reference: "ref.png" },
+      { id: "neg", url: "out/a.webp", negotiate: true }
+    ]
+  }, { root });
+  assert.deepEqual(errorsOf(issues), [
+    `tests[2].url: out/gone.jpg not found under --root ${root}`,
+    `tests[3].url: ${path.join("..", "a.jpg")} resolves outside --root ${root}`,
+    `tests[4].sources[0].srcset: out/a@2x.avif not found under --root ${root}`,
+    `tests[5].reference: ref.png not found under --root ${root}`
+  ]);
+  // With negotiation the base file may be absent as long as a variant exists
+  assert.deepEqual(issues.filter(i => i.level === "warning").map(i => i.path), ["tests[6].url"]);
+});
+
+test("runBenchmark refuses an invalid config before writing anything", async t => {
+  const root = await tempRoot(t);
+  const outDir = path.join(root, "results");
+  await assert.rejects(runBenchmark({ tests: [{ id: "a", url: "missing.jpg" }] }, { root, outDir }), err => {
+    assert.match(err.message, /^config: 1 error\n {2}tests\[0\]\.url: missing\.jpg not found/);
+    assert.equal(err.issues.length, 1);
+    return true;
+  });
+  assert.equal(await fs.pathExists(outDir), false);
+});
+
+test("a reference that is not a decodable PNG is reported up front", async t => {
+  const root = await tempRoot(t, ["a.jpg", "ref.png"]);
+  const errors = errorsOf(await validateConfig({ metrics: { reference: "ref.png" }, tests: [{ id: "a", url: "a.jpg", reference: "ref.png" }] }, { root }));
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /^metrics\.reference: ref\.png is not a usable reference PNG \(/);
+  assert.match(errors[1], /^tests\[0\]\.reference: ref\.png is not a usable reference PNG \(/);
+});
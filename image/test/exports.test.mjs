@@ -0,0 +1,38 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { aggregate, markdownSummary, junitReport, ndjsonRuns } from "../progressive-image-bench3.mjs";
+
+const run = (browser, id, n, extra) => ({ browser, browser_version: "1.0", engine: browser, id, label: id, format: "avif", run: n, attempts: 1, ...extra });
+const perRun = [
+  run("chromium", "a", 1, { t85: 100, t95: 200, visIndex: 0.5 }),
+  run("chromium", "a", 2, { t85: 120, t95: 260, visIndex: 0.55 }),
+  run("chromium", "b|c", 1, { error: "\x1b[31mTimeout\x1b[39m <img>" }),
+  run("firefox", "a", 1, { t85: 300, t95: null, visIndex: 0.7 })
+];
+const aggregated = aggregate(perRun);
+
+test("markdown summary has one escaped row per browser × test", () => {
+  const lines = markdownSummary(aggregated, { title: "T" }).trim().split("\n");
+  assert.equal(lines[0], "### T");
+  assert.equal(lines[2], "| Browser | Test | Format | t85 ms (p10–p90) | t95 ms (p10–p90) | Visual Index | Runs | Notes |");
+  assert.equal(lines[4], "| chromium | a | avif | 110 (102–118) | 230 (206–254) | 0.525 | 2/2 |  |");
+  assert.equal(lines[5], "| chromium | b\\|c | avif | – | – | – | 0/1 | 1 error: Timeout &lt;img> |");
+  assert.equal(lines.length, 7);
+});
+
+test("junit reports errored runs as errors and a missing last threshold as a failure", () => {
+  const xml = junitReport(aggregated);
+  assert.match(xml, /<testsuites name="progressive-image-bench" tests="3" failures="1" errors="1">/);
+  assert.match(xml, /<testsuite name="chromium" tests="2" failures="0" errors="1">/);
+  assert.match(xml, /<testcase classname="chromium" name="a" time="0\.230">/);
+  assert.match(xml, /<error message="1 of 1 runs failed">Timeout &lt;img&gt;<\/error>/);
+  assert.match(xml, /<testcase classname="firefox" name="a" time="0\.000">[^]*<failure message="no run reached t95"\/>/);
+  assert.doesNotMatch(xml, /\x1b/);
+});
+
+test("ndjson has one line per timed run with every metric key", () => {
+  const lines = ndjsonRuns([...perRun, { mode: "truncated", browser: "chromium", id: "a", run: 1 }], { stamp: "S" }).trim().split("\n").map(l => JSON.parse(l));
+  assert.equal(lines.length, 4);
+  assert.deepEqual([lines[0].stamp, lines[0].browser, lines[0].id, lines[0].run, lines[0].t95, lines[0].ssim], ["S", "chromium", "a", 1, 200, null]);
+  assert.equal(lines[2].error, "Timeout <img>");
+});
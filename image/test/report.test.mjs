@@ -0,0 +1,33 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { buildHistory, buildDashboardHTML } from "../progressive-image-bench3.mjs";
+
+test("written reports inline Plotly instead of loading it from the CDN", async t => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "pib-"));
+  t.after(() => fs.remove(root));
+  const run = path.join(root, "2025-01-02T03-04-05Z");
+  await fs.outputJson(path.join(run, "meta.json"), { versions: { chromium: "120.0" }, thresholds: [0.85, 0.95] });
+  await fs.outputJson(path.join(run, "aggregated.json"), [{ browser: "chromium", id: "a", median: { t85: 100, t95: 200, visIndex: 150 } }]);
+
+  const { files, selfContained } = await buildHistory(root);
+  assert.equal(selfContained, true);
+  const html = await fs.readFile(files.html, "utf8");
+  assert.doesNotMatch(html, /<script src=/);
+  assert.match(html, /<script>[^]*Plotly[^]*<\/script>/);
+  assert.deepEqual(files.charts, []);
+  await assert.rejects(buildHistory(root, { reportFormat: "pdf" }), /--report-format: expected html\|svg\|png, got "pdf"/);
+
+  // Without an installed browser the chart export fails, but the report is kept and the reason returned
+  const svg = await buildHistory(root, { reportFormat: "svg" });
+  assert.ok(svg.chartError ? svg.files.charts.length === 0 : svg.files.charts.length > 0);
+  assert.ok(await fs.pathExists(svg.files.html));
+});
+
+test("buildDashboardHTML keeps the CDN tag unless given a script", () => {
+  const args = { stamp: "s", configName: "c", aggregated: [], meta: { system: {}, versions: {} } };
+  assert.match(buildDashboardHTML(args), /<script src="https:\/\/cdn\.plot\.ly\//);
+  assert.match(buildDashboardHTML({ ...args, plotly: "<script>/* plotly */</script>" }), /<script>\/\* plotly \*\/<\/script>/);
+});
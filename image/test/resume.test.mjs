@@ -0,0 +1,20 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { runBenchmark } from "../progressive-image-bench3.mjs";
+
+// An existing file as the browser binary: passes the install check, never launched here
+const config = { browsers: [{ name: "fake", engine: "chromium", executablePath: process.execPath }], tests: [{ id: "a", url: "a.jpg" }] };
+
+test("a resume with different measurement settings is refused before anything runs", async t => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "pib-"));
+  t.after(() => fs.remove(root));
+  await fs.outputFile(path.join(root, "a.jpg"), "x");
+  const runDir = path.join(root, "results", "2025-01-01T10-00-00Z");
+  await fs.outputJson(path.join(runDir, "config.used.json"), config);
+  await assert.rejects(runBenchmark({ ...config, metrics: { thresholds: [0.5] } }, { root, resume: runDir, profile: "4g" }),
+    /^Error: --resume: .* was measured with different thresholds, network; rerun with the same config and flags, or pass --allow-config-change/);
+  assert.deepEqual(await fs.readdir(runDir), ["config.used.json"]);
+});
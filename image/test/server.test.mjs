@@ -0,0 +1,46 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { createServer } from "../progressive-image-bench3.mjs";
+
+test("serves files under root in chunks and records a trace", async t => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "pib-"));
+  t.after(() => fs.remove(root));
+  await fs.writeFile(path.join(root, "a.jpg"), Buffer.alloc(10000, 7));
+  const { server, traces, baseURL, hostScene } = await createServer({ root, chunkBytes: 4000, chunkDelayMs: 1 });
+  t.after(() => server.close());
+
+  const res = await fetch(`${baseURL}/a.jpg`);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "image/jpeg");
+  assert.equal((await res.arrayBuffer()).byteLength, 10000);
+  assert.equal(traces.length, 1);
+  assert.equal(traces[0].file, "a.jpg");
+  assert.deepEqual(traces[0].chunks.map(c => c.n), [4000, 4000, 2000]);
+
+  assert.equal((await fetch(`${baseURL}/missing.jpg`)).status, 404);
+  const url = hostScene("<p>scene</p>");
+  assert.equal(await (await fetch(url)).text(), "<p>scene</p>");
+  // Registered once: the same markup (the same test in another browser) reuses the URL
+  assert.equal(hostScene("<p>scene</p>"), url);
+  assert.notEqual(hostScene("<p>other</p>"), url);
+});
+
+test("a shaped response stops when the client disconnects mid-body", async t => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "pib-"));
+  t.after(() => fs.remove(root));
+  await fs.writeFile(path.join(root, "big.jpg"), Buffer.alloc(4 * 1024 * 1024, 7));
+  const { server, traces, baseURL } = await createServer({ root, chunkBytes: 64 * 1024, profile: "slow", profiles: { slow: { downKbps: 8000 } } });
+  t.after(() => server.close());
+
+  const controller = new AbortController();
+  const res = await fetch(`${baseURL}/big.jpg`, { signal: controller.signal });
+  await res.body.getReader().read();
+  controller.abort();
+  const until = Date.now() + 5000;
+  while (!traces[0]?.aborted && Date.now() < until) await new Promise(r => setTimeout(r, 50));
+  assert.equal(traces[0].aborted, true);
+  assert.ok(traces[0].totalBytes < 4 * 1024 * 1024);
+});
@@ -0,0 +1,20 @@
+// Synthetic frames and timelines for the unit tests: an image box that fills top-down.
+import { PNG } from "pngjs";
+
+// First `rows` rows carry a gradient (shifted by `seed`, e.g. a refinement pass), the rest is white.
+export function frame(width, height, rows, seed = 0) {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) for (let x = 0; x < width; x++) {
+    const i = (y * width + x) * 4, on = y < rows;
+    png.data[i] = on ? (x * 7 + seed) % 256 : 255;
+    png.data[i + 1] = on ? (y * 5) % 256 : 255;
+    png.data[i + 2] = on ? 128 : 255;
+    png.data[i + 3] = 255;
+  }
+  return PNG.sync.write(png);
+}
+
+// One frame per step: [percent of rows painted, seed], dt ms apart starting at t0.
+export function timeline(steps, { width = 64, height = 48, dt = 100, t0 = 0 } = {}) {
+  return steps.map(([pct, seed = 0], i) => ({ t: t0 + i * dt, png: frame(width, height, Math.round(height * pct / 100), seed) }));
+}
@@ -0,0 +1,69 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { computeVisualProgress, analyzeProgress, createAnalysisPool, DEFAULT_THRESHOLDS } from "../progressive-image-bench3.mjs";
+import { timeline } from "./synthetic.mjs";
+
+const opts = { thresholds: [0.5, 0.85, 0.95], bg: "#ffffff" };
+
+test("empty and single-frame timelines", () => {
+  assert.deepEqual(computeVisualProgress([], opts), {
+    samples: [], t50: null, t85: null, t95: null, visIndex: 0, tFirstPaint: null, tFirstNonBg: null, tFullExtent: null, tLastChange: null
+  });
+  const one = computeVisualProgress(timeline([[100]]), opts);
+  assert.deepEqual(one.samples, [{ t: 0, completeness: 1 }]);
+  assert.equal(one.t95, 0);
+  assert.equal(one.visIndex, 0);
+});
+
+test("threshold crossings follow completeness against the final frame", () => {
+  const res = computeVisualProgress(timeline([[0], [0], [25], [50], [75], [100], [100]]), opts);
+  assert.deepEqual(res.samples.map(s => s.t), [0, 100, 200, 300, 400, 500, 600]);
+  assert.equal(res.samples.at(-1).completeness, 1);
+  assert.ok(res.samples.every((s, i) => i === 0 || s.completeness >= res.samples[i - 1].completeness));
+  assert.equal(res.t50, 300);
+  assert.equal(res.t85, 500);
+  assert.equal(res.t95, 500);
+  assert.ok(res.visIndex > 0.3 && res.visIndex < 0.8, `visIndex ${res.visIndex}`);
+});
+
+test("defaults to the t85/t95 thresholds", () => {
+  const res = computeVisualProgress(timeline([[0], [50], [100]]));
+  assert.deepEqual(DEFAULT_THRESHOLDS, [0.85, 0.95]);
+  assert.ok("t85" in res && "t95" in res && !("t50" in res));
+});
+
+test("paint milestones", () => {
+  // empty → top half → whole box at low fidelity → refined
+  const res = computeVisualProgress(timeline([[0], [0], [50], [100, 128], [100, 128], [100], [100]]), opts);
+  assert.equal(res.tFirstPaint, 200);
+  assert.equal(res.tFirstNonBg, 200);
+  assert.equal(res.tFullExtent, 300);
+  assert.equal(res.tLastChange, 500);
+  assert.equal(res.t95, 500);
+});
+
+test("a box that never changes is complete from the first frame", () => {
+  const res = computeVisualProgress(timeline([[100], [100], [100]]), opts);
+  assert.equal(res.t95, 0);
+  assert.equal(res.visIndex, 0);
+  assert.equal(res.tFirstPaint, 0);
+  assert.equal(res.tLastChange, 0);
+});
+
+test("the analysis pool gives the same result as inline analysis", async () => {
+  const frames = timeline([[0], [10], [30], [30, 128], [60, 128], [90, 128], [90], [90]], { width: 96, height: 72 });
+  const pool = createAnalysisPool(2);
+  try {
+    assert.deepEqual(await analyzeProgress(frames, { ...opts, pool }), computeVisualProgress(frames, opts));
+  } finally {
+    await pool.close();
+  }
+});
+
+test("downscaled comparison stays close to full resolution", async () => {
+  const frames = timeline([[0], [20], [40], [60], [80], [100], [100]], { width: 128, height: 96 });
+  const full = computeVisualProgress(frames, opts);
+  const half = await analyzeProgress(frames, { ...opts, scale: 0.5 });
+  for (const k of ["t50", "t85", "t95", "tFirstPaint", "tLastChange"]) assert.equal(half[k], full[k], k);
+  assert.ok(Math.abs(half.visIndex - full.visIndex) < 0.02);
+});